@@ -1,19 +1,98 @@
 // --- 辅助函数 (D1 数据库抽象层) ---
+// 所有持久化操作都通过 getStorage(env) 返回的存储后端完成，SQL 只出现在下方的「存储层」中。
+
+/**
+ * [新增] 配置快照
+ * 每个 update 只用一次查询读出整张 config 表，之后的 dbConfigGet 都从内存读取。
+ * 快照还会缓存在当前 isolate 中，每次只需查询 config_version 判断是否有其他请求改过配置。
+ * 设置环境变量 CONFIG_CACHE=off 可关闭 isolate 级缓存 (每个 update 仍只读取一次)。
+ */
+const CONFIG_VERSION_KEY = "config_version";
+const CONFIG_SNAPSHOT = Symbol("configSnapshot");
+let isolateConfigCache = null; // { version, values: Map }
+
+/**
+ * [新增] admin_state:* 记录的是管理员正在进行的编辑状态，变化频繁，不进入快照也不触发版本号变更
+ */
+function isVolatileConfigKey(key) {
+    return key.startsWith("admin_state:");
+}
+
+/**
+ * [新增] 为一次 update 创建带配置快照的 env (快照在第一次读取配置时才加载)
+ */
+function withConfigSnapshot(env) {
+    const scopedEnv = Object.create(env);
+    scopedEnv[CONFIG_SNAPSHOT] = { values: null };
+    return scopedEnv;
+}
+
+/**
+ * [新增] 加载当前 update 的配置快照，优先复用 isolate 缓存
+ */
+async function loadConfigSnapshot(env) {
+    const storage = getStorage(env);
+    if (env.CONFIG_CACHE === "off") {
+        return storage.getAllConfig();
+    }
+    const version = (await storage.getConfig(CONFIG_VERSION_KEY)) || "0";
+    if (isolateConfigCache && isolateConfigCache.version === version) {
+        return isolateConfigCache.values;
+    }
+    const values = await storage.getAllConfig();
+    isolateConfigCache = { version, values };
+    return values;
+}
 
 /**
  * [D1 Abstraction] 获取全局配置 (config table)
  */
 async function dbConfigGet(key, env) {
-    const row = await env.TG_BOT_DB.prepare("SELECT value FROM config WHERE key = ?").bind(key).first();
-    return row ? row.value : null;
+    const snapshot = env[CONFIG_SNAPSHOT];
+    if (snapshot && !isVolatileConfigKey(key)) {
+        if (!snapshot.values) {
+            snapshot.values = await loadConfigSnapshot(env);
+        }
+        return snapshot.values.has(key) ? snapshot.values.get(key) : null;
+    }
+    return await getStorage(env).getConfig(key);
+  }
+  
+  /**
+  * [新增] 配置写入成功后：同步当前 update 的快照，并丢弃 isolate 缓存
+  */
+  function applyConfigChange(key, value, env) {
+    const snapshot = env[CONFIG_SNAPSHOT];
+    if (snapshot && snapshot.values) {
+        // 快照可能与 isolate 缓存共用同一个 Map，先复制再修改
+        snapshot.values = new Map(snapshot.values);
+        if (value === null) snapshot.values.delete(key);
+        else snapshot.values.set(key, value);
+    }
+    isolateConfigCache = null;
   }
   
   /**
   * [D1 Abstraction] 设置/更新全局配置 (config table)
   */
   async function dbConfigPut(key, value, env) {
-    // INSERT OR REPLACE 确保如果键已存在则更新，否则插入
-    await env.TG_BOT_DB.prepare("INSERT OR REPLACE INTO config (key, value) VALUES (?, ?)").bind(key, value).run();
+    const volatile = isVolatileConfigKey(key);
+    // 非 admin_state 的写入会同时递增 config_version，让其他 isolate 的缓存失效
+    await getStorage(env).putConfig(key, value, !volatile);
+    if (!volatile) {
+        applyConfigChange(key, value, env);
+    }
+  }
+  
+  /**
+  * [D1 Abstraction] 删除全局配置
+  */
+  async function dbConfigDelete(key, env) {
+    const volatile = isVolatileConfigKey(key);
+    await getStorage(env).deleteConfig(key, !volatile);
+    if (!volatile) {
+        applyConfigChange(key, null, env);
+    }
   }
   
   /**
@@ -21,17 +100,16 @@ async function dbConfigGet(key, env) {
   * 如果用户不存在，则创建默认记录。
   */
   async function dbUserGetOrCreate(userId, env) {
-    let user = await env.TG_BOT_DB.prepare("SELECT * FROM users WHERE user_id = ?").bind(userId).first();
+    const storage = getStorage(env);
+    let user = await storage.getUser(userId);
   
     if (!user) {
         // [⭐️ 修改] 插入默认记录 (包含 is_muted)
-        await env.TG_BOT_DB.prepare(
-            "INSERT INTO users (user_id, user_state, is_blocked, is_muted, block_count) VALUES (?, 'new', 0, 0, 0)"
-        ).bind(userId).run();
+        await storage.createUser(userId);
         // 重新查询以获取完整的默认记录
-        user = await env.TG_BOT_DB.prepare("SELECT * FROM users WHERE user_id = ?").bind(userId).first();
+        user = await storage.getUser(userId);
     }
-    
+  
     // 将 is_blocked 和 is_muted 转换为布尔值，并解析 JSON 字段
     if (user) {
         user.is_blocked = user.is_blocked === 1;
@@ -51,33 +129,25 @@ async function dbConfigGet(key, env) {
         data.user_info_json = JSON.stringify(data.user_info);
         delete data.user_info; // 移除原始对象以避免与 SQL 冲突
     }
-    
-    // 构造 SQL 语句
-    const fields = Object.keys(data).map(key => {
-        // [⭐️ 修改] 特殊处理 is_blocked 和 is_muted (布尔值)
+  
+    // [⭐️ 修改] 特殊处理 is_blocked 和 is_muted (布尔值)，存储为 0/1
+    const fields = {};
+    for (const key of Object.keys(data)) {
         if ((key === 'is_blocked' || key === 'is_muted') && typeof data[key] === 'boolean') {
-             return `${key} = ?`; // D1 存储 0/1
+            fields[key] = data[key] ? 1 : 0;
+        } else {
+            fields[key] = data[key];
         }
-        return `${key} = ?`;
-    }).join(', ');
-    
-    // 构造值数组
-    const values = Object.keys(data).map(key => {
-         if ((key === 'is_blocked' || key === 'is_muted') && typeof data[key] === 'boolean') {
-             return data[key] ? 1 : 0;
-         }
-         return data[key];
-    });
-    
-    await env.TG_BOT_DB.prepare(`UPDATE users SET ${fields} WHERE user_id = ?`).bind(...values, userId).run();
+    }
+  
+    await getStorage(env).updateUser(userId, fields);
   }
   
   /**
   * [D1 Abstraction] 根据 topic_id 查找 user_id
   */
   async function dbTopicUserGet(topicId, env) {
-    const row = await env.TG_BOT_DB.prepare("SELECT user_id FROM users WHERE topic_id = ?").bind(topicId).first();
-    return row ? row.user_id : null;
+    return await getStorage(env).getUserIdByTopic(topicId);
   }
   
   /**
@@ -86,9 +156,7 @@ async function dbConfigGet(key, env) {
   */
   async function dbMessageDataPut(userId, messageId, data, env) {
     // data 包含 { text, date }
-    await env.TG_BOT_DB.prepare(
-        "INSERT OR REPLACE INTO messages (user_id, message_id, text, date) VALUES (?, ?, ?, ?)"
-    ).bind(userId, messageId, data.text, data.date).run();
+    await getStorage(env).putMessage(userId, messageId, data);
   }
   
   /**
@@ -96,682 +164,3304 @@ async function dbConfigGet(key, env) {
   * 用于已编辑消息跟踪。
   */
   async function dbMessageDataGet(userId, messageId, env) {
-    const row = await env.TG_BOT_DB.prepare(
-        "SELECT text, date FROM messages WHERE user_id = ? AND message_id = ?"
-    ).bind(userId, messageId).first();
-    return row || null;
+    return await getStorage(env).getMessage(userId, messageId);
   }
   
   /**
-  * [D1 Abstraction] 清除管理员编辑状态
+  * [D1 Abstraction] 记录已处理的 update_id (processed_updates table)
+  * 返回 true 表示首次处理；返回 false 表示 Telegram 重复投递的更新。
   */
-  async function dbAdminStateDelete(userId, env) {
-    await env.TG_BOT_DB.prepare("DELETE FROM config WHERE key = ?").bind(`admin_state:${userId}`).run();
+  async function dbUpdateClaim(updateId, env) {
+    return await getStorage(env).claimUpdate(updateId, Math.floor(Date.now() / 1000));
   }
   
   /**
-  * [D1 Abstraction] 获取管理员编辑状态
+  * [D1 Abstraction] 清理超过保留时间的 update_id 记录
   */
-  async function dbAdminStateGet(userId, env) {
-    const stateJson = await dbConfigGet(`admin_state:${userId}`, env);
-    return stateJson || null;
+  async function dbUpdatePurgeExpired(ttlSeconds, env) {
+    const cutoff = Math.floor(Date.now() / 1000) - ttlSeconds;
+    await getStorage(env).purgeUpdatesBefore(cutoff);
   }
   
   /**
-  * [D1 Abstraction] 设置管理员编辑状态
+  * [D1 Abstraction] 标记用户消息已转发到话题 (relayed_messages table)
+  * 返回 false 表示该消息已经转发过，不应再次转发。
   */
-  async function dbAdminStatePut(userId, stateJson, env) {
-    await dbConfigPut(`admin_state:${userId}`, stateJson, env);
+  async function dbRelayClaim(userId, messageId, env) {
+    return await getStorage(env).claimRelay(userId, messageId, Math.floor(Date.now() / 1000));
   }
   
-/**
-* [D1 Abstraction] D1 数据库迁移/初始化函数
-* 确保所需的表存在。
-*/
-async function dbMigrate(env) {
-    // 确保 D1 绑定存在
-    if (!env.TG_BOT_DB) {
-        throw new Error("D1 database binding 'TG_BOT_DB' is missing.");
-    }
-    
-    // config 表
-    const configTableQuery = `
-        CREATE TABLE IF NOT EXISTS config (
-            key TEXT PRIMARY KEY,
-            value TEXT
-        );
-    `;
-  
-    // users 表 (存储用户状态、话题ID、屏蔽状态和用户信息)
-    // [⭐️ 改动] 增加了 info_card_message_id 字段
-    const usersTableQuery = `
-        CREATE TABLE IF NOT EXISTS users (
-            user_id TEXT PRIMARY KEY NOT NULL,
-            user_state TEXT NOT NULL DEFAULT 'new',
-            is_blocked INTEGER NOT NULL DEFAULT 0,
-            is_muted INTEGER NOT NULL DEFAULT 0,
-            block_count INTEGER NOT NULL DEFAULT 0,
-            topic_id TEXT,
-            info_card_message_id TEXT, 
-            user_info_json TEXT 
-        );
-    `;
-    
-    // messages 表 (存储消息内容用于处理已编辑消息)
-    const messagesTableQuery = `
-        CREATE TABLE IF NOT EXISTS messages (
-            user_id TEXT NOT NULL,
-            message_id TEXT NOT NULL,
-            text TEXT,
-            date INTEGER,
-            PRIMARY KEY (user_id, message_id)
-        );
-    `;
-  
-    // 按批次执行所有创建表的语句
-    try {
-        await env.TG_BOT_DB.batch([
-            env.TG_BOT_DB.prepare(configTableQuery),
-            env.TG_BOT_DB.prepare(usersTableQuery),
-            env.TG_BOT_DB.prepare(messagesTableQuery),
-        ]);
-        
-        // [⭐️ 改动] 自动迁移：尝试为旧表添加字段 (is_muted, info_card_message_id)
-        // 这样你的旧数据不会丢失，也能用新功能
-        const addColumns = [
-            "ALTER TABLE users ADD COLUMN is_muted INTEGER DEFAULT 0",
-            "ALTER TABLE users ADD COLUMN info_card_message_id TEXT",
-            "ALTER TABLE users ADD COLUMN block_log_message_id TEXT",
-            "ALTER TABLE users ADD COLUMN profile_log_message_id TEXT" // <--- 新增这一行
-        ];
-  
-        for (const query of addColumns) {
-            try {
-                await env.TG_BOT_DB.prepare(query).run();
-            } catch (e) {
-                // 如果字段已存在会报错，忽略即可
-            }
-        }
+  /**
+  * [D1 Abstraction] 撤销转发标记 (转发失败时调用，允许之后重试)
+  */
+  async function dbRelayRelease(userId, messageId, env) {
+    await getStorage(env).releaseRelay(userId, messageId);
+  }
   
-    } catch (e) {
-        console.error("D1 Migration Failed:", e);
-        throw new Error(`D1 Initialization Failed: ${e.message}`);
-    }
+  /**
+  * [D1 Abstraction] 删除一批早于指定时间的消息记录，返回删除的行数
+  */
+  async function dbMessageDataPurgeBefore(cutoff, limit, env) {
+    return await getStorage(env).purgeMessagesBefore(cutoff, limit);
   }
   
+  /**
+  * [D1 Abstraction] 删除一批早于指定时间的会话记录，返回删除的行数
+  */
+  async function dbTranscriptPurgeBefore(cutoff, limit, env) {
+    return await getStorage(env).purgeTranscriptsBefore(cutoff, limit);
+  }
   
-  // --- 辅助函数 ---
+  /**
+  * [D1 Abstraction] 统计用户数量 (用于日志话题的置顶汇总)
+  */
+  async function dbUserStats(env) {
+    const row = await getStorage(env).getUserStats();
+    return {
+        total: row?.total || 0,
+        verified: row?.verified || 0,
+        with_topic: row?.with_topic || 0,
+        blocked: row?.blocked || 0,
+        muted: row?.muted || 0,
+    };
+  }
   
-  function escapeHtml(text) {
-  if (!text) return '';
-  // Cloudflare Worker 不支持 String.prototype.replaceAll, 使用全局替换
-  return text.toString()
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
+  /**
+  * [D1 Abstraction] 获取被屏蔽或被静音的用户列表
+  */
+  async function dbUserListRestricted(limit, env) {
+    const rows = await getStorage(env).listRestrictedUsers(limit);
+    return rows.map(row => ({
+        user_id: row.user_id,
+        is_blocked: row.is_blocked === 1,
+        is_muted: row.is_muted === 1,
+        user_info: row.user_info_json ? JSON.parse(row.user_info_json) : null,
+    }));
   }
   
   /**
-  * [新增] 格式化 Unix 时间戳为本地时间字符串
+  * [D1 Abstraction] 清除长时间未完成的管理员编辑状态，返回删除的行数
+  * 没有 updated_at 的旧记录同样视为过期。
   */
-  function formatTimestamp(timestamp) {
-    if (!timestamp) return '时间未知';
-    // Telegram timestamps are in seconds
-    return new Date(timestamp * 1000).toLocaleString('zh-CN', {
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: false
-    });
+  async function dbAdminStatePurgeBefore(cutoff, env) {
+    return await getStorage(env).purgeAdminStatesBefore(cutoff);
   }
   
-  function getUserInfo(user, initialTimestamp = null) {
-    const userId = user.id.toString();
-    const rawName = (user.first_name || "") + (user.last_name ? ` ${user.last_name}` : "");
-    const rawUsername = user.username ? `@${user.username}` : "无";
-    
-    const safeName = escapeHtml(rawName);
-    const safeUsername = escapeHtml(rawUsername);
-    const safeUserId = escapeHtml(userId);
+  /**
+  * [D1 Abstraction] 写入出站重试队列 (outbound_queue table)
+  */
+  async function dbOutboundEnqueue(item, env) {
+    await getStorage(env).enqueueOutbound({ ...item, created_at: Math.floor(Date.now() / 1000) });
+  }
   
-    const topicName = `${rawName.trim()} | ${userId}`.substring(0, 128);
+  /**
+  * [D1 Abstraction] 获取已到重试时间的队列项
+  */
+  async function dbOutboundDue(now, limit, env) {
+    return await getStorage(env).listDueOutbound(now, limit);
+  }
   
-    const timestamp = initialTimestamp ? new Date(initialTimestamp * 1000).toLocaleString('zh-CN') : new Date().toLocaleString('zh-CN');
-    
-    // 还原为原始代码，不再尝试将文本设为链接
-    const infoCard = `
-  <b>👤 用户资料卡</b>
-  • 用户名: <code>${safeUsername}</code>
-  • ID: <code>${safeUserId}</code>
-    `.trim();
+  /**
+  * [D1 Abstraction] 更新队列项的重试次数和下一次重试时间
+  */
+  async function dbOutboundReschedule(id, attempts, nextAttemptAt, lastError, env) {
+    await getStorage(env).rescheduleOutbound(id, attempts, nextAttemptAt, lastError);
+  }
   
-    return { userId, name: rawName, username: rawUsername, topicName, infoCard };
+  /**
+  * [D1 Abstraction] 删除队列项 (发送成功或最终放弃)
+  */
+  async function dbOutboundDelete(id, env) {
+    await getStorage(env).deleteOutbound(id);
   }
   
-/**
-* [⭐️ 修改] 生成用户资料卡下方的操作按钮（屏蔽/解禁/置顶/静音）
-*/
-function getInfoCardButtons(userId, isBlocked, isMuted) {
-    const blockAction = isBlocked ? "unblock" : "block";
-    const blockText = isBlocked ? "✅ 解除屏蔽" : "🚫 屏蔽此人";
-    
-    // [⭐️ 新增] 静音按钮逻辑
-    const muteAction = isMuted ? "unmute" : "mute";
-    const muteText = isMuted ? "🔔 解除静音" : "🔕 静音通知";
-
-    return {
-        inline_keyboard: [
-            [{ // Row 1: Block + Mute (并排)
-                text: blockText,
-                callback_data: `${blockAction}:${userId}`
-            }, {
-                text: muteText,
-                callback_data: `${muteAction}:${userId}`
-            }],
-            [{ // Row 2: View Profile Button
-                text: "👤 查看用户资料",
-                url: `tg://user?id=${userId}` 
-            }],
-            [{ // Row 3: Pin Button
-                text: "📌 置顶此消息",
-                callback_data: `pin_card:${userId}` 
-            }]
-        ]
-    };
-}
+  /**
+  * [D1 Abstraction] 获取用户的限流计数 (rate_limits table)
+  */
+  async function dbRateLimitGet(userId, env) {
+    return await getStorage(env).getRateLimit(userId);
+  }
   
-/**
- * [新增] 确保存在一个用于汇总用户资料卡的话题
- */
-async function ensureLogTopicExists(env) {
-  const logTopicKey = 'user_profile_log_topic_id';
-  // 1. 尝试从配置中获取已存在的汇总话题 ID
-  let logTopicId = await dbConfigGet(logTopicKey, env);
-
-  // 2. 如果没有，创建一个新的
-  if (!logTopicId) {
-      try {
-          const topic = await telegramApi(env.BOT_TOKEN, "createForumTopic", {
-              chat_id: env.ADMIN_GROUP_ID,
-              name: "📋 用户资料卡汇总 (User Logs)",
-              icon_custom_emoji_id: null // 可选：设置图标
-          });
-          logTopicId = topic.message_thread_id.toString();
-          // 保存到 D1 配置中，避免重复创建
-          await dbConfigPut(logTopicKey, logTopicId, env);
-      } catch (e) {
-          console.error("创建汇总话题失败:", e);
-          return null; // 创建失败返回 null
-      }
+  /**
+  * [D1 Abstraction] 保存用户的限流计数
+  */
+  async function dbRateLimitPut(userId, data, env) {
+    await getStorage(env).putRateLimit(userId, data);
   }
-  return logTopicId;
-}
-
-/**
- * [⭐️ 新增] 确保存在一个用于管理屏蔽/静音用户的专用话题
- * 用于统计和操作屏蔽/静音名单。
- */
-async function ensureBlockLogTopicExists(env) {
-    const logTopicKey = 'user_block_log_topic_id';
-    let logTopicId = await dbConfigGet(logTopicKey, env);
   
-    if (!logTopicId) {
-        try {
-            const topic = await telegramApi(env.BOT_TOKEN, "createForumTopic", {
-                chat_id: env.ADMIN_GROUP_ID,
-                name: "🚫 屏蔽与静音名单 (Block/Mute Log)",
-                icon_custom_emoji_id: null 
-            });
-            logTopicId = topic.message_thread_id.toString();
-            await dbConfigPut(logTopicKey, logTopicId, env);
-        } catch (e) {
-            console.error("创建屏蔽名单话题失败:", e);
-            return null; 
-        }
-    }
-    return logTopicId;
-}
+  /**
+  * [D1 Abstraction] 获取自动处罚已到期的用户 ID
+  */
+  async function dbUserListExpiredPenalties(now, env) {
+    return await getStorage(env).listExpiredPenaltyUserIds(now);
+  }
   
   /**
-  * 优先从 D1 获取配置，其次从环境变量获取，最后使用默认值。
+  * [D1 Abstraction] 记录一条消息在私聊与管理员话题之间的对应关系 (message_map table)
+  * direction: 'user_to_admin' (用户消息的话题副本) 或 'admin_to_user' (管理员回复的私聊副本)
+  * admin_id: 管理员回复时记录发送者，用户消息为 null
   */
-  async function getConfig(key, env, defaultValue) {
-    const configValue = await dbConfigGet(key, env);
-    
-    // 如果 D1 中有配置，直接返回 D1 的值
-    if (configValue !== null) {
-        return configValue;
-    }
-    
-    // 如果 D1 中没有，检查环境变量（作为后备或兼容性）
-    const envKey = key.toUpperCase()
-                      .replace('WELCOME_MSG', 'WELCOME_MESSAGE')
-                      .replace('VERIF_Q', 'VERIFICATION_QUESTION')
-                      .replace('VERIF_A', 'VERIFICATION_ANSWER')
-                      .replace(/_FORWARDING/g, '_FORWARDING');
-    
-    const envValue = env[envKey];
-    if (envValue !== undefined && envValue !== null) {
-        return envValue;
-    }
-    
-    // 都没有，返回代码默认值
-    return defaultValue;
+  async function dbMessageMapPut(entry, env) {
+    await getStorage(env).putMessageMap({
+        user_chat_id: entry.user_chat_id.toString(),
+        user_message_id: entry.user_message_id.toString(),
+        admin_message_id: entry.admin_message_id.toString(),
+        topic_id: entry.topic_id ? entry.topic_id.toString() : null,
+        direction: entry.direction,
+        admin_id: entry.admin_id ? entry.admin_id.toString() : null,
+        created_at: Math.floor(Date.now() / 1000),
+    });
   }
   
   /**
-  * 检查用户是否是主管理员 (来自 ADMIN_IDS 环境变量)
+  * [D1 Abstraction] 根据用户私聊中的消息 ID 查找对应关系
   */
-  function isPrimaryAdmin(userId, env) {
-    if (!env.ADMIN_IDS) return false;
-    // 确保 ADMIN_IDS 是逗号分隔的字符串
-    const adminIds = env.ADMIN_IDS.split(',').map(id => id.trim());
-    return adminIds.includes(userId.toString());
+  async function dbMessageMapGetByUser(userChatId, userMessageId, env) {
+    return await getStorage(env).getMessageMapByUser(userChatId.toString(), userMessageId.toString());
   }
   
+  /**
+  * [D1 Abstraction] 根据管理员群组中的消息 ID 查找对应关系
+  */
+  async function dbMessageMapGetByAdmin(adminMessageId, env) {
+    return await getStorage(env).getMessageMapByAdmin(adminMessageId.toString());
+  }
   
   /**
-  * [新增] 获取授权协管员 ID 列表
+  * [D1 Abstraction] 标记管理员消息已撤回
   */
-  async function getAuthorizedAdmins(env) {
+  async function dbMessageMapMarkRetracted(adminMessageId, env) {
+    await getStorage(env).markMessageMapRetracted(adminMessageId.toString(), Math.floor(Date.now() / 1000));
+  }
+  
+  /**
+  * [D1 Abstraction] 获取话题中某位管理员最近 N 条尚未撤回的回复
+  */
+  async function dbMessageMapListRecentReplies(topicId, adminId, limit, env) {
+    return await getStorage(env).listRecentReplies(topicId.toString(), adminId.toString(), limit);
+  }
+  
+  /**
+  * [D1 Abstraction] 写入一条会话记录 (transcripts table)
+  */
+  async function dbTranscriptPut(entry, env) {
+    await getStorage(env).putTranscript({
+        user_id: entry.user_id.toString(),
+        direction: entry.direction,
+        admin_id: entry.admin_id ? entry.admin_id.toString() : null,
+        content_type: entry.content_type,
+        text: entry.text || null,
+        file_id: entry.file_id || null,
+        user_message_id: entry.user_message_id ? entry.user_message_id.toString() : null,
+        admin_message_id: entry.admin_message_id ? entry.admin_message_id.toString() : null,
+        created_at: entry.created_at,
+    });
+  }
+  
+  /**
+  * [D1 Abstraction] 更新被编辑消息的会话记录
+  * 用户消息按 user_message_id 匹配，管理员消息按 admin_message_id 匹配。
+  */
+  async function dbTranscriptUpdateEdit(userId, direction, messageId, text, editedAt, env) {
+    await getStorage(env).updateTranscriptEdit(userId.toString(), direction, messageId.toString(), text, editedAt);
+  }
+  
+  /**
+  * [D1 Abstraction] 获取用户的全部会话记录 (按时间顺序)
+  */
+  async function dbTranscriptList(userId, env) {
+    return await getStorage(env).listTranscripts(userId.toString());
+  }
+  
+  /**
+  * [D1 Abstraction] 暂存一条用户在验证通过前发送的消息 (pending_messages table)
+  */
+  async function dbPendingMessageAdd(userId, message, env) {
+    await getStorage(env).addPendingMessage(userId.toString(), JSON.stringify(message), message.date || Math.floor(Date.now() / 1000));
+  }
+  
+  /**
+  * [D1 Abstraction] 获取用户当前暂存的消息数量
+  */
+  async function dbPendingMessageCount(userId, env) {
+    return await getStorage(env).countPendingMessages(userId.toString());
+  }
+  
+  /**
+  * [D1 Abstraction] 获取用户暂存的消息，按发送顺序返回 { id, message }
+  */
+  async function dbPendingMessageList(userId, env) {
+    const rows = await getStorage(env).listPendingMessages(userId.toString());
+    return rows.map(row => ({ id: row.id, message: JSON.parse(row.message_json) }));
+  }
+  
+  /**
+  * [D1 Abstraction] 删除一条已转发的暂存消息
+  */
+  async function dbPendingMessageDelete(id, env) {
+    await getStorage(env).deletePendingMessage(id);
+  }
+  
+  /**
+  * [D1 Abstraction] 删除早于 cutoff (秒) 的暂存消息，返回删除的行数
+  */
+  async function dbPendingMessagePurgeBefore(cutoff, limit, env) {
+    return await getStorage(env).purgePendingMessagesBefore(cutoff, limit);
+  }
+  
+  /**
+  * [D1 Abstraction] 获取某类规则 (auto_reply_rules / block_rules table)，按 ID 排序
+  */
+  async function dbRuleList(kind, env) {
+    return await getStorage(env).listRules(kind);
+  }
+  
+  /**
+  * [D1 Abstraction] 获取单条规则
+  */
+  async function dbRuleGet(kind, id, env) {
+    return await getStorage(env).getRule(kind, Number(id));
+  }
+  
+  /**
+  * [D1 Abstraction] 新增一条规则，返回新规则的 ID
+  */
+  async function dbRuleAdd(kind, fields, env) {
+    return await getStorage(env).addRule(kind, fields, Math.floor(Date.now() / 1000));
+  }
+  
+  /**
+  * [D1 Abstraction] 按 ID 删除规则，返回是否删除成功
+  */
+  async function dbRuleDelete(kind, id, env) {
+    return await getStorage(env).deleteRule(kind, Number(id));
+  }
+  
+  /**
+  * [D1 Abstraction] 启用/停用规则
+  */
+  async function dbRuleSetEnabled(kind, id, enabled, env) {
+    await getStorage(env).setRuleEnabled(kind, Number(id), enabled, Math.floor(Date.now() / 1000));
+  }
+  
+  /**
+  * [D1 Abstraction] 规则命中计数 +1
+  */
+  async function dbRuleRecordHit(kind, id, env) {
+    await getStorage(env).recordRuleHit(kind, Number(id));
+  }
+  
+  /**
+  * [D1 Abstraction] 一次性写入导入的配置：普通配置项覆盖写入，规则列表整体替换对应的规则表
+  * 全部写入在同一个批次中完成，中途失败时不会只导入一部分。
+  */
+  async function dbConfigImport(values, env) {
+    const configValues = {};
+    const ruleLists = {};
+    for (const [key, value] of Object.entries(values)) {
+        const kind = RULE_CONFIG_KEYS[key];
+        if (kind) ruleLists[kind] = JSON.parse(value);
+        else configValues[key] = value;
+    }
+    await getStorage(env).importConfig(configValues, ruleLists, Math.floor(Date.now() / 1000));
+  }
+  
+  /**
+  * [D1 Abstraction] 清除管理员编辑状态
+  */
+  async function dbAdminStateDelete(userId, env) {
+    await dbConfigDelete(`admin_state:${userId}`, env);
+  }
+  
+  /**
+  * [D1 Abstraction] 获取管理员编辑状态
+  */
+  async function dbAdminStateGet(userId, env) {
+    const stateJson = await dbConfigGet(`admin_state:${userId}`, env);
+    return stateJson || null;
+  }
+  
+  /**
+  * [D1 Abstraction] 设置管理员编辑状态
+  */
+  async function dbAdminStatePut(userId, stateJson, env) {
+    await dbConfigPut(`admin_state:${userId}`, stateJson, env);
+  }
+  
+/**
+* [D1 Abstraction] 版本化数据库迁移
+* 每个迁移按 version 顺序只执行一次，执行记录保存在 schema_migrations 表中。
+* 新增表结构时请在末尾追加新版本，不要修改已经发布的迁移。
+* up(db, record) 如果需要和版本记录原子地写入 (例如搬迁数据)，可以把 record 放进自己最后的 db.batch 中并返回 true，
+* 这样并发执行同一迁移时，后提交的一方会因版本主键冲突整体回滚，不会重复写入数据。
+*/
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: "initial_schema",
+        // 兼容旧部署：表可能已经存在 (旧版每次请求都会建表)，缺少的字段在这里补齐
+        up: async (db) => {
+            await db.batch([
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS config (
+                        key TEXT PRIMARY KEY,
+                        value TEXT
+                    );
+                `),
+                // users 表 (存储用户状态、话题ID、屏蔽状态和用户信息)
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS users (
+                        user_id TEXT PRIMARY KEY NOT NULL,
+                        user_state TEXT NOT NULL DEFAULT 'new',
+                        is_blocked INTEGER NOT NULL DEFAULT 0,
+                        is_muted INTEGER NOT NULL DEFAULT 0,
+                        block_count INTEGER NOT NULL DEFAULT 0,
+                        topic_id TEXT,
+                        info_card_message_id TEXT,
+                        block_log_message_id TEXT,
+                        profile_log_message_id TEXT,
+                        user_info_json TEXT
+                    );
+                `),
+                // messages 表 (存储消息内容用于处理已编辑消息)
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS messages (
+                        user_id TEXT NOT NULL,
+                        message_id TEXT NOT NULL,
+                        text TEXT,
+                        date INTEGER,
+                        PRIMARY KEY (user_id, message_id)
+                    );
+                `),
+            ]);
+            await dbAddMissingColumns(db, "users", {
+                is_muted: "INTEGER DEFAULT 0",
+                info_card_message_id: "TEXT",
+                block_log_message_id: "TEXT",
+                profile_log_message_id: "TEXT",
+            });
+        },
+    },
+    {
+        version: 2,
+        name: "update_dedup",
+        statements: [
+            // processed_updates 表 (Telegram 重复投递的 update_id 去重)
+            `CREATE TABLE IF NOT EXISTS processed_updates (
+                update_id INTEGER PRIMARY KEY,
+                processed_at INTEGER NOT NULL
+            );`,
+            // relayed_messages 表 (防止同一条用户消息被转发两次)
+            `CREATE TABLE IF NOT EXISTS relayed_messages (
+                user_id TEXT NOT NULL,
+                message_id TEXT NOT NULL,
+                relayed_at INTEGER NOT NULL,
+                PRIMARY KEY (user_id, message_id)
+            );`,
+        ],
+    },
+    {
+        version: 3,
+        name: "config_updated_at",
+        // 记录配置的写入时间，定时任务据此清理过期的 admin_state:*
+        up: async (db) => {
+            await dbAddMissingColumns(db, "config", { updated_at: "INTEGER" });
+        },
+    },
+    {
+        version: 4,
+        name: "outbound_queue",
+        statements: [
+            // outbound_queue 表 (限流或临时故障导致发送失败的请求，由定时任务重放)
+            `CREATE TABLE IF NOT EXISTS outbound_queue (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                method TEXT NOT NULL,
+                params_json TEXT NOT NULL,
+                context_json TEXT,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at INTEGER NOT NULL,
+                last_error TEXT,
+                created_at INTEGER NOT NULL
+            );`,
+            `CREATE INDEX IF NOT EXISTS idx_outbound_queue_next_attempt ON outbound_queue (next_attempt_at);`,
+        ],
+    },
+    {
+        version: 5,
+        name: "flood_control",
+        up: async (db) => {
+            // rate_limits 表 (每个用户当前计数窗口和违规次数)
+            await db.prepare(`
+                CREATE TABLE IF NOT EXISTS rate_limits (
+                    user_id TEXT PRIMARY KEY NOT NULL,
+                    window_start INTEGER NOT NULL,
+                    message_count INTEGER NOT NULL DEFAULT 0,
+                    strikes INTEGER NOT NULL DEFAULT 0,
+                    last_strike_at INTEGER
+                );
+            `).run();
+            // 自动处罚 (临时静音/屏蔽) 的类型和到期时间
+            await dbAddMissingColumns(db, "users", {
+                penalty_type: "TEXT",
+                penalty_until: "INTEGER",
+            });
+        },
+    },
+    {
+        version: 6,
+        name: "user_bot_status",
+        // 用户停用/屏蔽机器人的状态 (来自 my_chat_member 更新)
+        up: async (db) => {
+            await dbAddMissingColumns(db, "users", {
+                bot_status: "TEXT",
+                bot_status_at: "INTEGER",
+            });
+        },
+    },
+    {
+        version: 7,
+        name: "message_map",
+        statements: [
+            // message_map 表 (用户私聊消息 <-> 管理员话题中的对应消息)
+            `CREATE TABLE IF NOT EXISTS message_map (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_chat_id TEXT NOT NULL,
+                user_message_id TEXT NOT NULL,
+                admin_message_id TEXT NOT NULL,
+                topic_id TEXT,
+                direction TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );`,
+            `CREATE UNIQUE INDEX IF NOT EXISTS idx_message_map_user ON message_map (user_chat_id, user_message_id);`,
+            `CREATE UNIQUE INDEX IF NOT EXISTS idx_message_map_admin ON message_map (admin_message_id);`,
+        ],
+    },
+    {
+        version: 8,
+        name: "message_map_retracted",
+        // 管理员撤回 (/del) 的时间
+        up: async (db) => {
+            await dbAddMissingColumns(db, "message_map", { retracted_at: "INTEGER" });
+        },
+    },
+    {
+        version: 9,
+        name: "transcripts",
+        statements: [
+            // transcripts 表 (完整的双向会话记录，用于 /export)
+            `CREATE TABLE IF NOT EXISTS transcripts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                direction TEXT NOT NULL,
+                admin_id TEXT,
+                content_type TEXT NOT NULL,
+                text TEXT,
+                file_id TEXT,
+                user_message_id TEXT,
+                admin_message_id TEXT,
+                created_at INTEGER NOT NULL,
+                edited_at INTEGER
+            );`,
+            `CREATE INDEX IF NOT EXISTS idx_transcripts_user ON transcripts (user_id, created_at);`,
+        ],
+    },
+    {
+        version: 10,
+        name: "retention_indexes",
+        statements: [
+            // 按时间分批清理过期内容时使用
+            `CREATE INDEX IF NOT EXISTS idx_messages_date ON messages (date);`,
+            `CREATE INDEX IF NOT EXISTS idx_transcripts_created ON transcripts (created_at);`,
+        ],
+    },
+    {
+        version: 11,
+        name: "rules_tables",
+        // 自动回复和屏蔽关键词从 config 中的 JSON 数组迁移到独立的表，每条规则有稳定的 ID
+        up: async (db, record) => {
+            await db.batch([
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS auto_reply_rules (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        keywords TEXT NOT NULL,
+                        response TEXT NOT NULL,
+                        enabled INTEGER NOT NULL DEFAULT 1,
+                        hit_count INTEGER NOT NULL DEFAULT 0,
+                        created_at INTEGER NOT NULL,
+                        updated_at INTEGER NOT NULL
+                    );
+                `),
+                db.prepare(`
+                    CREATE TABLE IF NOT EXISTS block_rules (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        pattern TEXT NOT NULL,
+                        enabled INTEGER NOT NULL DEFAULT 1,
+                        hit_count INTEGER NOT NULL DEFAULT 0,
+                        created_at INTEGER NOT NULL,
+                        updated_at INTEGER NOT NULL
+                    );
+                `),
+            ]);
+
+            const readJsonArray = async (key) => {
+                const row = await db.prepare("SELECT value FROM config WHERE key = ?").bind(key).first();
+                try {
+                    const list = row ? JSON.parse(row.value) : [];
+                    return Array.isArray(list) ? list : [];
+                } catch (e) {
+                    return [];
+                }
+            };
+            const now = Math.floor(Date.now() / 1000);
+            const statements = [];
+            for (const rule of await readJsonArray('keyword_responses')) {
+                if (!rule || !rule.keywords || !rule.response) continue;
+                // 旧规则的 id 是毫秒时间戳，正好作为创建时间
+                const createdAt = Number(rule.id) > 1e12 ? Math.floor(Number(rule.id) / 1000) : now;
+                statements.push(db.prepare(
+                    "INSERT INTO auto_reply_rules (keywords, response, enabled, hit_count, created_at, updated_at) VALUES (?, ?, 1, 0, ?, ?)"
+                ).bind(String(rule.keywords), String(rule.response), createdAt, now));
+            }
+            for (const pattern of await readJsonArray('block_keywords')) {
+                if (!pattern) continue;
+                statements.push(db.prepare(
+                    "INSERT INTO block_rules (pattern, enabled, hit_count, created_at, updated_at) VALUES (?, 1, 0, ?, ?)"
+                ).bind(String(pattern), now, now));
+            }
+            // 写入规则与删除旧配置在同一批次中完成，重试迁移时不会重复导入
+            statements.push(db.prepare("DELETE FROM config WHERE key IN ('keyword_responses', 'block_keywords')"));
+            statements.push(db.prepare(
+                "INSERT INTO config (key, value, updated_at) VALUES (?, '1', ?) ON CONFLICT(key) DO UPDATE SET value = CAST(value AS INTEGER) + 1, updated_at = excluded.updated_at"
+            ).bind(CONFIG_VERSION_KEY, now));
+            // 版本记录放在同一批次中：两个 isolate 同时迁移时只有一方能提交，规则不会被导入两次
+            statements.push(record);
+            await db.batch(statements);
+            return true;
+        },
+    },
+    {
+        version: 12,
+        name: "button_captcha",
+        // 按钮验证模式下当前发给用户的题目 (选项、正确答案、随机标识)
+        up: async (db) => {
+            await dbAddMissingColumns(db, "users", { verif_challenge_json: "TEXT" });
+        },
+    },
+    {
+        version: 13,
+        name: "verification_attempts",
+        // 人机验证累计失败次数，以及冷却期的结束时间 (秒)
+        up: async (db) => {
+            await dbAddMissingColumns(db, "users", {
+                verif_attempts: "INTEGER NOT NULL DEFAULT 0",
+                verif_cooldown_until: "INTEGER",
+            });
+        },
+    },
+    {
+        version: 14,
+        name: "verification_questions",
+        // 验证题库 (每个问题可配置多个答案)，以及每位用户收到的问题 ID
+        up: async (db) => {
+            await db.prepare(`
+                CREATE TABLE IF NOT EXISTS verification_questions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    question TEXT NOT NULL,
+                    answers TEXT NOT NULL,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    hit_count INTEGER NOT NULL DEFAULT 0,
+                    created_at INTEGER NOT NULL,
+                    updated_at INTEGER NOT NULL
+                );
+            `).run();
+            await dbAddMissingColumns(db, "users", { verif_question_id: "INTEGER" });
+        },
+    },
+    {
+        version: 15,
+        name: "pending_messages",
+        statements: [
+            // 用户通过验证之前发送的消息，验证通过后按顺序转发
+            `CREATE TABLE IF NOT EXISTS pending_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                message_json TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );`,
+            `CREATE INDEX IF NOT EXISTS idx_pending_messages_user ON pending_messages (user_id, id);`,
+            `CREATE INDEX IF NOT EXISTS idx_pending_messages_created ON pending_messages (created_at);`,
+        ],
+    },
+    {
+        version: 16,
+        name: "message_map_admin_id",
+        // 发送回复的管理员 ID，/del 只能撤回自己的回复
+        up: async (db) => {
+            await dbAddMissingColumns(db, "message_map", { admin_id: "TEXT" });
+        },
+    },
+];
+
+/**
+* [D1 Abstraction] 为已存在的表补齐缺少的字段
+*/
+async function dbAddMissingColumns(db, table, columns) {
+    const { results } = await db.prepare(`PRAGMA table_info(${table})`).all();
+    const existing = new Set((results || []).map(col => col.name));
+    for (const [column, definition] of Object.entries(columns)) {
+        if (!existing.has(column)) {
+            await db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+        }
+    }
+}
+
+// --- 存储层 (Storage) ---
+//
+// 存储后端是一个普通对象，dbXxx 辅助函数只调用下面这些方法，不直接接触 SQL：
+//   schema:      ping() / migrate() / schemaVersion()
+//   config:      getConfig(key) / getAllConfig() / putConfig(key, value, bumpVersion) / deleteConfig(key, bumpVersion) / purgeAdminStatesBefore(cutoff)
+//                importConfig(values, ruleLists, now)                         (配置与规则在同一批次中写入)
+//   users:       getUser(userId) / createUser(userId) / updateUser(userId, fields) / getUserIdByTopic(topicId)
+//                getUserStats() / listRestrictedUsers(limit) / listExpiredPenaltyUserIds(now)
+//   messages:    putMessage(userId, messageId, data) / getMessage(userId, messageId) / purgeMessagesBefore(cutoff, limit)
+//   去重:         claimUpdate(updateId, now) / purgeUpdatesBefore(cutoff) / claimRelay(userId, messageId, now) / releaseRelay(userId, messageId)
+//   重试队列:      enqueueOutbound(item) / listDueOutbound(now, limit) / rescheduleOutbound(id, attempts, nextAttemptAt, lastError) / deleteOutbound(id)
+//   防刷屏:        getRateLimit(userId) / putRateLimit(userId, data)
+//   message_map: putMessageMap(entry) / getMessageMapByUser(userChatId, userMessageId) / getMessageMapByAdmin(adminMessageId)
+//                markMessageMapRetracted(adminMessageId, at) / listRecentReplies(topicId, adminId, limit)
+//   transcripts: putTranscript(entry) / updateTranscriptEdit(userId, direction, messageId, text, editedAt) / listTranscripts(userId) / purgeTranscriptsBefore(cutoff, limit)
+//   待转发:       addPendingMessage(userId, messageJson, createdAt) / countPendingMessages(userId) / listPendingMessages(userId)
+//                deletePendingMessage(id) / purgePendingMessagesBefore(cutoff, limit)
+//   规则:         listRules(kind) / getRule(kind, id) / addRule(kind, fields, now) / deleteRule(kind, id) / setRuleEnabled(kind, id, enabled, now)
+//                recordRuleHit(kind, id)     (kind: 'auto_reply' | 'block' | 'question')
+//
+// 返回的行与 D1 表结构保持一致 (例如 is_blocked 为 0/1，user_info_json 为字符串)，转换统一在 dbXxx 中完成。
+
+/**
+* [新增] 规则类型与表的对应关系 (自动回复 / 屏蔽关键词 / 验证题库)
+* 验证题库的 hit_count 记录该问题被抽中的次数。
+*/
+const RULE_TABLES = {
+    auto_reply: { name: "auto_reply_rules", columns: ["keywords", "response"] },
+    block: { name: "block_rules", columns: ["pattern"] },
+    question: { name: "verification_questions", columns: ["question", "answers"] },
+};
+
+/**
+* [D1 Abstraction] 获取当前数据库结构版本 (0 表示尚未迁移)
+*/
+async function dbSchemaVersion(env) {
+    return await getStorage(env).schemaVersion();
+}
+
+/**
+* [新增] D1 存储后端
+* 接受任何兼容 D1 接口的绑定 (包括 wrangler dev --local 使用的本地 SQLite 文件)。
+*/
+function createD1Storage(db) {
+    const changes = (result) => result.meta?.changes || 0;
+    const prepareVersionBump = (now) => db.prepare(
+        "INSERT INTO config (key, value, updated_at) VALUES (?, '1', ?) ON CONFLICT(key) DO UPDATE SET value = CAST(value AS INTEGER) + 1, updated_at = excluded.updated_at"
+    ).bind(CONFIG_VERSION_KEY, now);
+
+    // 本 isolate 内是否已经确认过表结构为最新 (避免每次请求都查询 D1)
+    let schemaReadyPromise = null;
+
+    const storage = {
+        async ping() {
+            await db.prepare("SELECT 1").first();
+        },
+
+        async schemaVersion() {
+            const row = await db.prepare("SELECT MAX(version) AS version FROM schema_migrations").first();
+            return row && row.version ? row.version : 0;
+        },
+
+        /**
+        * 执行所有尚未执行的迁移，每个 isolate 只检查一次
+        */
+        async migrate() {
+            if (!schemaReadyPromise) {
+                schemaReadyPromise = runMigrations().catch(e => {
+                    // 失败时重置，下一次请求会重新尝试
+                    schemaReadyPromise = null;
+                    throw e;
+                });
+            }
+            await schemaReadyPromise;
+        },
+
+        async getConfig(key) {
+            const row = await db.prepare("SELECT value FROM config WHERE key = ?").bind(key).first();
+            return row ? row.value : null;
+        },
+
+        async getAllConfig() {
+            const { results } = await db.prepare("SELECT key, value FROM config WHERE key NOT LIKE 'admin_state:%'").all();
+            return new Map((results || []).map(row => [row.key, row.value]));
+        },
+
+        async putConfig(key, value, bumpVersion) {
+            const now = Math.floor(Date.now() / 1000);
+            // INSERT OR REPLACE 确保如果键已存在则更新，否则插入
+            const statement = db.prepare("INSERT OR REPLACE INTO config (key, value, updated_at) VALUES (?, ?, ?)").bind(key, value, now);
+            if (bumpVersion) await db.batch([statement, prepareVersionBump(now)]);
+            else await statement.run();
+        },
+
+        async deleteConfig(key, bumpVersion) {
+            const statement = db.prepare("DELETE FROM config WHERE key = ?").bind(key);
+            if (bumpVersion) await db.batch([statement, prepareVersionBump(Math.floor(Date.now() / 1000))]);
+            else await statement.run();
+        },
+
+        async purgeAdminStatesBefore(cutoff) {
+            const result = await db.prepare(
+                "DELETE FROM config WHERE key LIKE 'admin_state:%' AND (updated_at IS NULL OR updated_at < ?)"
+            ).bind(cutoff).run();
+            return changes(result);
+        },
+
+        async getUser(userId) {
+            return await db.prepare("SELECT * FROM users WHERE user_id = ?").bind(userId).first();
+        },
+
+        async createUser(userId) {
+            await db.prepare(
+                "INSERT INTO users (user_id, user_state, is_blocked, is_muted, block_count) VALUES (?, 'new', 0, 0, 0)"
+            ).bind(userId).run();
+        },
+
+        async updateUser(userId, fields) {
+            const keys = Object.keys(fields);
+            if (keys.length === 0) return;
+            const assignments = keys.map(key => `${key} = ?`).join(', ');
+            await db.prepare(`UPDATE users SET ${assignments} WHERE user_id = ?`).bind(...keys.map(key => fields[key]), userId).run();
+        },
+
+        async getUserIdByTopic(topicId) {
+            const row = await db.prepare("SELECT user_id FROM users WHERE topic_id = ?").bind(topicId).first();
+            return row ? row.user_id : null;
+        },
+
+        async getUserStats() {
+            return await db.prepare(`
+                SELECT
+                    COUNT(*) AS total,
+                    SUM(CASE WHEN user_state = 'verified' THEN 1 ELSE 0 END) AS verified,
+                    SUM(CASE WHEN topic_id IS NOT NULL THEN 1 ELSE 0 END) AS with_topic,
+                    SUM(CASE WHEN is_blocked = 1 THEN 1 ELSE 0 END) AS blocked,
+                    SUM(CASE WHEN is_muted = 1 THEN 1 ELSE 0 END) AS muted
+                FROM users
+            `).first();
+        },
+
+        async listRestrictedUsers(limit) {
+            const { results } = await db.prepare(
+                "SELECT user_id, is_blocked, is_muted, user_info_json FROM users WHERE is_blocked = 1 OR is_muted = 1 ORDER BY user_id LIMIT ?"
+            ).bind(limit).all();
+            return results || [];
+        },
+
+        async listExpiredPenaltyUserIds(now) {
+            const { results } = await db.prepare(
+                "SELECT user_id FROM users WHERE penalty_until IS NOT NULL AND penalty_until <= ?"
+            ).bind(now).all();
+            return (results || []).map(row => row.user_id);
+        },
+
+        async putMessage(userId, messageId, data) {
+            await db.prepare(
+                "INSERT OR REPLACE INTO messages (user_id, message_id, text, date) VALUES (?, ?, ?, ?)"
+            ).bind(userId, messageId, data.text, data.date).run();
+        },
+
+        async getMessage(userId, messageId) {
+            const row = await db.prepare(
+                "SELECT text, date FROM messages WHERE user_id = ? AND message_id = ?"
+            ).bind(userId, messageId).first();
+            return row || null;
+        },
+
+        async purgeMessagesBefore(cutoff, limit) {
+            const result = await db.prepare(
+                "DELETE FROM messages WHERE rowid IN (SELECT rowid FROM messages WHERE date < ? LIMIT ?)"
+            ).bind(cutoff, limit).run();
+            return changes(result);
+        },
+
+        async claimUpdate(updateId, now) {
+            const result = await db.prepare(
+                "INSERT OR IGNORE INTO processed_updates (update_id, processed_at) VALUES (?, ?)"
+            ).bind(updateId, now).run();
+            return changes(result) > 0;
+        },
+
+        async purgeUpdatesBefore(cutoff) {
+            await db.prepare("DELETE FROM processed_updates WHERE processed_at < ?").bind(cutoff).run();
+        },
+
+        async claimRelay(userId, messageId, now) {
+            const result = await db.prepare(
+                "INSERT OR IGNORE INTO relayed_messages (user_id, message_id, relayed_at) VALUES (?, ?, ?)"
+            ).bind(userId, messageId, now).run();
+            return changes(result) > 0;
+        },
+
+        async releaseRelay(userId, messageId) {
+            await db.prepare("DELETE FROM relayed_messages WHERE user_id = ? AND message_id = ?").bind(userId, messageId).run();
+        },
+
+        async enqueueOutbound(item) {
+            await db.prepare(
+                "INSERT INTO outbound_queue (method, params_json, context_json, attempts, next_attempt_at, last_error, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)"
+            ).bind(item.method, item.params_json, item.context_json, item.attempts, item.next_attempt_at, item.last_error, item.created_at).run();
+        },
+
+        async listDueOutbound(now, limit) {
+            const { results } = await db.prepare(
+                "SELECT * FROM outbound_queue WHERE next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ?"
+            ).bind(now, limit).all();
+            return results || [];
+        },
+
+        async rescheduleOutbound(id, attempts, nextAttemptAt, lastError) {
+            await db.prepare(
+                "UPDATE outbound_queue SET attempts = ?, next_attempt_at = ?, last_error = ? WHERE id = ?"
+            ).bind(attempts, nextAttemptAt, lastError, id).run();
+        },
+
+        async deleteOutbound(id) {
+            await db.prepare("DELETE FROM outbound_queue WHERE id = ?").bind(id).run();
+        },
+
+        async getRateLimit(userId) {
+            return await db.prepare("SELECT * FROM rate_limits WHERE user_id = ?").bind(userId).first();
+        },
+
+        async putRateLimit(userId, data) {
+            await db.prepare(
+                "INSERT OR REPLACE INTO rate_limits (user_id, window_start, message_count, strikes, last_strike_at) VALUES (?, ?, ?, ?, ?)"
+            ).bind(userId, data.window_start, data.message_count, data.strikes, data.last_strike_at || null).run();
+        },
+
+        async putMessageMap(entry) {
+            await db.prepare(
+                "INSERT OR REPLACE INTO message_map (user_chat_id, user_message_id, admin_message_id, topic_id, direction, admin_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)"
+            ).bind(entry.user_chat_id, entry.user_message_id, entry.admin_message_id, entry.topic_id, entry.direction, entry.admin_id, entry.created_at).run();
+        },
+
+        async getMessageMapByUser(userChatId, userMessageId) {
+            return await db.prepare(
+                "SELECT * FROM message_map WHERE user_chat_id = ? AND user_message_id = ?"
+            ).bind(userChatId, userMessageId).first();
+        },
+
+        async getMessageMapByAdmin(adminMessageId) {
+            return await db.prepare("SELECT * FROM message_map WHERE admin_message_id = ?").bind(adminMessageId).first();
+        },
+
+        async markMessageMapRetracted(adminMessageId, at) {
+            await db.prepare("UPDATE message_map SET retracted_at = ? WHERE admin_message_id = ?").bind(at, adminMessageId).run();
+        },
+
+        async listRecentReplies(topicId, adminId, limit) {
+            const { results } = await db.prepare(
+                "SELECT * FROM message_map WHERE topic_id = ? AND direction = 'admin_to_user' AND admin_id = ? AND retracted_at IS NULL ORDER BY created_at DESC, id DESC LIMIT ?"
+            ).bind(topicId, adminId, limit).all();
+            return results || [];
+        },
+
+        async putTranscript(entry) {
+            await db.prepare(
+                "INSERT INTO transcripts (user_id, direction, admin_id, content_type, text, file_id, user_message_id, admin_message_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)"
+            ).bind(
+                entry.user_id, entry.direction, entry.admin_id, entry.content_type, entry.text,
+                entry.file_id, entry.user_message_id, entry.admin_message_id, entry.created_at
+            ).run();
+        },
+
+        async updateTranscriptEdit(userId, direction, messageId, text, editedAt) {
+            const column = direction === 'user_to_admin' ? 'user_message_id' : 'admin_message_id';
+            await db.prepare(
+                `UPDATE transcripts SET text = ?, edited_at = ? WHERE user_id = ? AND direction = ? AND ${column} = ?`
+            ).bind(text, editedAt, userId, direction, messageId).run();
+        },
+
+        async listTranscripts(userId) {
+            const { results } = await db.prepare(
+                "SELECT * FROM transcripts WHERE user_id = ? ORDER BY created_at, id"
+            ).bind(userId).all();
+            return results || [];
+        },
+
+        async purgeTranscriptsBefore(cutoff, limit) {
+            const result = await db.prepare(
+                "DELETE FROM transcripts WHERE id IN (SELECT id FROM transcripts WHERE created_at < ? LIMIT ?)"
+            ).bind(cutoff, limit).run();
+            return changes(result);
+        },
+
+        async addPendingMessage(userId, messageJson, createdAt) {
+            await db.prepare(
+                "INSERT INTO pending_messages (user_id, message_json, created_at) VALUES (?, ?, ?)"
+            ).bind(userId, messageJson, createdAt).run();
+        },
+
+        async countPendingMessages(userId) {
+            const row = await db.prepare("SELECT COUNT(*) AS total FROM pending_messages WHERE user_id = ?").bind(userId).first();
+            return row?.total || 0;
+        },
+
+        async listPendingMessages(userId) {
+            const { results } = await db.prepare(
+                "SELECT * FROM pending_messages WHERE user_id = ? ORDER BY id"
+            ).bind(userId).all();
+            return results || [];
+        },
+
+        async deletePendingMessage(id) {
+            await db.prepare("DELETE FROM pending_messages WHERE id = ?").bind(id).run();
+        },
+
+        async purgePendingMessagesBefore(cutoff, limit) {
+            const result = await db.prepare(
+                "DELETE FROM pending_messages WHERE id IN (SELECT id FROM pending_messages WHERE created_at < ? LIMIT ?)"
+            ).bind(cutoff, limit).run();
+            return changes(result);
+        },
+
+        async listRules(kind) {
+            const { results } = await db.prepare(`SELECT * FROM ${ruleTable(kind)} ORDER BY id`).all();
+            return results || [];
+        },
+
+        async getRule(kind, id) {
+            return await db.prepare(`SELECT * FROM ${ruleTable(kind)} WHERE id = ?`).bind(id).first();
+        },
+
+        async addRule(kind, fields, now) {
+            const result = await prepareRuleInsert(kind, fields, now).run();
+            return result.meta?.last_row_id || null;
+        },
+
+        async deleteRule(kind, id) {
+            const result = await db.prepare(`DELETE FROM ${ruleTable(kind)} WHERE id = ?`).bind(id).run();
+            return changes(result) > 0;
+        },
+
+        async setRuleEnabled(kind, id, enabled, now) {
+            await db.prepare(`UPDATE ${ruleTable(kind)} SET enabled = ?, updated_at = ? WHERE id = ?`).bind(enabled ? 1 : 0, now, id).run();
+        },
+
+        async recordRuleHit(kind, id) {
+            // 直接在数据库中自增，并发命中不会相互覆盖
+            await db.prepare(`UPDATE ${ruleTable(kind)} SET hit_count = hit_count + 1 WHERE id = ?`).bind(id).run();
+        },
+
+        async importConfig(values, ruleLists, now) {
+            await db.batch([
+                ...Object.entries(values).map(([key, value]) =>
+                    db.prepare("INSERT OR REPLACE INTO config (key, value, updated_at) VALUES (?, ?, ?)").bind(key, value, now)),
+                ...Object.entries(ruleLists).flatMap(([kind, list]) => [
+                    db.prepare(`DELETE FROM ${ruleTable(kind)}`),
+                    ...list.map(rule => prepareRuleInsert(kind, rule, now)),
+                ]),
+                prepareVersionBump(now),
+            ]);
+        },
+    };
+
+    function ruleTable(kind) {
+        const table = RULE_TABLES[kind];
+        if (!table) throw new Error(`Unknown rule kind: ${kind}`);
+        return table.name;
+    }
+
+    function prepareRuleInsert(kind, fields, now) {
+        const columns = RULE_TABLES[kind].columns;
+        return db.prepare(
+            `INSERT INTO ${ruleTable(kind)} (${columns.join(', ')}, enabled, hit_count, created_at, updated_at) VALUES (${columns.map(() => '?').join(', ')}, ?, 0, ?, ?)`
+        ).bind(...columns.map(column => fields[column]), fields.enabled === false ? 0 : 1, now, now);
+    }
+
+    async function runMigrations() {
+        await db.prepare(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at INTEGER NOT NULL
+            );
+        `).run();
+
+        const currentVersion = await storage.schemaVersion();
+        for (const migration of MIGRATIONS) {
+            if (migration.version <= currentVersion) continue;
+
+            const record = db.prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)")
+                .bind(migration.version, migration.name, Math.floor(Date.now() / 1000));
+            try {
+                if (migration.up) {
+                    const recorded = await migration.up(db, record);
+                    if (!recorded) await record.run();
+                } else {
+                    // 纯 SQL 迁移与版本记录在同一批次中执行，要么全部成功，要么全部回滚
+                    await db.batch([...migration.statements.map(sql => db.prepare(sql)), record]);
+                }
+            } catch (e) {
+                // 另一个 isolate 已经完成了同一迁移 (版本记录主键冲突)，视为成功
+                if (await storage.schemaVersion() >= migration.version) continue;
+                throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${e.message}`);
+            }
+        }
+    }
+
+    return storage;
+}
+
+/**
+* [新增] 内存存储后端
+* 数据只保存在当前 isolate 中，重启即丢失，适合本地调试和测试。
+* 行结构与 D1 表保持一致：TEXT 列中的数字会像 D1 一样被保存为字符串。
+*/
+function createMemoryStorage() {
+    const config = new Map();            // key -> { value, updated_at }
+    const users = new Map();             // user_id -> row
+    const messages = new Map();          // `${user_id}:${message_id}` -> row
+    const processedUpdates = new Map();  // update_id -> processed_at
+    const relayedMessages = new Set();   // `${user_id}:${message_id}`
+    const outboundQueue = new Map();     // id -> row
+    const rateLimits = new Map();        // user_id -> row
+    let messageMap = [];
+    let transcripts = [];
+    let pendingMessages = [];
+    const rules = { auto_reply: [], block: [], question: [] };
+    let nextId = 1;
+
+    const ruleRows = (kind) => {
+        if (!rules[kind]) throw new Error(`Unknown rule kind: ${kind}`);
+        return rules[kind];
+    };
+    const newRuleRow = (kind, id, fields, now) => {
+        const row = { id };
+        for (const column of RULE_TABLES[kind].columns) row[column] = fields[column];
+        return { ...row, enabled: fields.enabled === false ? 0 : 1, hit_count: 0, created_at: now, updated_at: now };
+    };
+
+    const USER_TEXT_COLUMNS = new Set([
+        "user_state", "topic_id", "info_card_message_id", "block_log_message_id",
+        "profile_log_message_id", "user_info_json", "penalty_type", "bot_status", "verif_challenge_json",
+    ]);
+    const asText = (value) => (value === undefined || value === null ? null : value.toString());
+    const copy = (row) => (row ? { ...row } : null);
+    const byTimeThenId = (timeKey) => (a, b) => (a[timeKey] - b[timeKey]) || (a.id - b.id);
+
+    const purgeBefore = (rows, timeKey, cutoff, limit) => {
+        let removed = 0;
+        const kept = rows.filter(row => {
+            if (removed < limit && row[timeKey] < cutoff) {
+                removed++;
+                return false;
+            }
+            return true;
+        });
+        return { kept, removed };
+    };
+
+    const bumpVersion = (now) => {
+        const current = parseInt(config.get(CONFIG_VERSION_KEY)?.value || "0", 10);
+        config.set(CONFIG_VERSION_KEY, { value: String(current + 1), updated_at: now });
+    };
+
+    return {
+        async ping() {},
+        async migrate() {},
+        async schemaVersion() {
+            return MIGRATIONS[MIGRATIONS.length - 1].version;
+        },
+
+        async getConfig(key) {
+            return config.has(key) ? config.get(key).value : null;
+        },
+        async getAllConfig() {
+            const values = new Map();
+            for (const [key, entry] of config) {
+                if (!isVolatileConfigKey(key)) values.set(key, entry.value);
+            }
+            return values;
+        },
+        async putConfig(key, value, bumpVersionFlag) {
+            const now = Math.floor(Date.now() / 1000);
+            config.set(key, { value: asText(value), updated_at: now });
+            if (bumpVersionFlag) bumpVersion(now);
+        },
+        async deleteConfig(key, bumpVersionFlag) {
+            config.delete(key);
+            if (bumpVersionFlag) bumpVersion(Math.floor(Date.now() / 1000));
+        },
+        async purgeAdminStatesBefore(cutoff) {
+            let removed = 0;
+            for (const [key, entry] of config) {
+                if (key.startsWith("admin_state:") && (!entry.updated_at || entry.updated_at < cutoff)) {
+                    config.delete(key);
+                    removed++;
+                }
+            }
+            return removed;
+        },
+
+        async getUser(userId) {
+            return copy(users.get(asText(userId)));
+        },
+        async createUser(userId) {
+            const id = asText(userId);
+            if (users.has(id)) return;
+            users.set(id, {
+                user_id: id, user_state: 'new', is_blocked: 0, is_muted: 0, block_count: 0,
+                topic_id: null, info_card_message_id: null, block_log_message_id: null,
+                profile_log_message_id: null, user_info_json: null,
+                penalty_type: null, penalty_until: null, bot_status: null, bot_status_at: null,
+                verif_challenge_json: null, verif_attempts: 0, verif_cooldown_until: null, verif_question_id: null,
+            });
+        },
+        async updateUser(userId, fields) {
+            const row = users.get(asText(userId));
+            if (!row) return;
+            for (const [key, value] of Object.entries(fields)) {
+                row[key] = USER_TEXT_COLUMNS.has(key) ? asText(value) : (value === undefined ? null : value);
+            }
+        },
+        async getUserIdByTopic(topicId) {
+            const id = asText(topicId);
+            for (const row of users.values()) {
+                if (row.topic_id === id) return row.user_id;
+            }
+            return null;
+        },
+        async getUserStats() {
+            const rows = [...users.values()];
+            return {
+                total: rows.length,
+                verified: rows.filter(row => row.user_state === 'verified').length,
+                with_topic: rows.filter(row => row.topic_id !== null).length,
+                blocked: rows.filter(row => row.is_blocked === 1).length,
+                muted: rows.filter(row => row.is_muted === 1).length,
+            };
+        },
+        async listRestrictedUsers(limit) {
+            return [...users.values()]
+                .filter(row => row.is_blocked === 1 || row.is_muted === 1)
+                .sort((a, b) => (a.user_id < b.user_id ? -1 : a.user_id > b.user_id ? 1 : 0))
+                .slice(0, limit)
+                .map(row => ({ user_id: row.user_id, is_blocked: row.is_blocked, is_muted: row.is_muted, user_info_json: row.user_info_json }));
+        },
+        async listExpiredPenaltyUserIds(now) {
+            return [...users.values()]
+                .filter(row => row.penalty_until !== null && row.penalty_until <= now)
+                .map(row => row.user_id);
+        },
+
+        async putMessage(userId, messageId, data) {
+            messages.set(`${userId}:${messageId}`, { user_id: asText(userId), message_id: asText(messageId), text: data.text, date: data.date });
+        },
+        async getMessage(userId, messageId) {
+            const row = messages.get(`${userId}:${messageId}`);
+            return row ? { text: row.text, date: row.date } : null;
+        },
+        async purgeMessagesBefore(cutoff, limit) {
+            let removed = 0;
+            for (const [key, row] of messages) {
+                if (removed >= limit) break;
+                if (row.date < cutoff) {
+                    messages.delete(key);
+                    removed++;
+                }
+            }
+            return removed;
+        },
+
+        async claimUpdate(updateId, now) {
+            if (processedUpdates.has(updateId)) return false;
+            processedUpdates.set(updateId, now);
+            return true;
+        },
+        async purgeUpdatesBefore(cutoff) {
+            for (const [updateId, processedAt] of processedUpdates) {
+                if (processedAt < cutoff) processedUpdates.delete(updateId);
+            }
+        },
+        async claimRelay(userId, messageId) {
+            const key = `${userId}:${messageId}`;
+            if (relayedMessages.has(key)) return false;
+            relayedMessages.add(key);
+            return true;
+        },
+        async releaseRelay(userId, messageId) {
+            relayedMessages.delete(`${userId}:${messageId}`);
+        },
+
+        async enqueueOutbound(item) {
+            const id = nextId++;
+            outboundQueue.set(id, { id, ...item });
+        },
+        async listDueOutbound(now, limit) {
+            return [...outboundQueue.values()]
+                .filter(row => row.next_attempt_at <= now)
+                .sort(byTimeThenId('next_attempt_at'))
+                .slice(0, limit)
+                .map(copy);
+        },
+        async rescheduleOutbound(id, attempts, nextAttemptAt, lastError) {
+            const row = outboundQueue.get(id);
+            if (row) Object.assign(row, { attempts, next_attempt_at: nextAttemptAt, last_error: lastError });
+        },
+        async deleteOutbound(id) {
+            outboundQueue.delete(id);
+        },
+
+        async getRateLimit(userId) {
+            return copy(rateLimits.get(asText(userId)));
+        },
+        async putRateLimit(userId, data) {
+            rateLimits.set(asText(userId), {
+                user_id: asText(userId),
+                window_start: data.window_start,
+                message_count: data.message_count,
+                strikes: data.strikes,
+                last_strike_at: data.last_strike_at || null,
+            });
+        },
+
+        async putMessageMap(entry) {
+            // 与 D1 的唯一索引一致：同一条用户消息或同一条管理员消息只保留最新的对应关系
+            messageMap = messageMap.filter(row =>
+                !(row.user_chat_id === entry.user_chat_id && row.user_message_id === entry.user_message_id) &&
+                row.admin_message_id !== entry.admin_message_id
+            );
+            messageMap.push({ id: nextId++, ...entry, retracted_at: null });
+        },
+        async getMessageMapByUser(userChatId, userMessageId) {
+            return copy(messageMap.find(row => row.user_chat_id === userChatId && row.user_message_id === userMessageId));
+        },
+        async getMessageMapByAdmin(adminMessageId) {
+            return copy(messageMap.find(row => row.admin_message_id === adminMessageId));
+        },
+        async markMessageMapRetracted(adminMessageId, at) {
+            for (const row of messageMap) {
+                if (row.admin_message_id === adminMessageId) row.retracted_at = at;
+            }
+        },
+        async listRecentReplies(topicId, adminId, limit) {
+            return messageMap
+                .filter(row => row.topic_id === topicId && row.direction === 'admin_to_user' && row.admin_id === adminId && row.retracted_at === null)
+                .sort((a, b) => (b.created_at - a.created_at) || (b.id - a.id))
+                .slice(0, limit)
+                .map(copy);
+        },
+
+        async putTranscript(entry) {
+            transcripts.push({ id: nextId++, ...entry, edited_at: null });
+        },
+        async updateTranscriptEdit(userId, direction, messageId, text, editedAt) {
+            const column = direction === 'user_to_admin' ? 'user_message_id' : 'admin_message_id';
+            for (const row of transcripts) {
+                if (row.user_id === userId && row.direction === direction && row[column] === messageId) {
+                    row.text = text;
+                    row.edited_at = editedAt;
+                }
+            }
+        },
+        async listTranscripts(userId) {
+            return transcripts.filter(row => row.user_id === userId).sort(byTimeThenId('created_at')).map(copy);
+        },
+        async purgeTranscriptsBefore(cutoff, limit) {
+            const { kept, removed } = purgeBefore(transcripts, 'created_at', cutoff, limit);
+            transcripts = kept;
+            return removed;
+        },
+
+        async addPendingMessage(userId, messageJson, createdAt) {
+            pendingMessages.push({ id: nextId++, user_id: userId, message_json: messageJson, created_at: createdAt });
+        },
+        async countPendingMessages(userId) {
+            return pendingMessages.filter(row => row.user_id === userId).length;
+        },
+        async listPendingMessages(userId) {
+            return pendingMessages.filter(row => row.user_id === userId).sort((a, b) => a.id - b.id).map(copy);
+        },
+        async deletePendingMessage(id) {
+            pendingMessages = pendingMessages.filter(row => row.id !== id);
+        },
+        async purgePendingMessagesBefore(cutoff, limit) {
+            const { kept, removed } = purgeBefore(pendingMessages, 'created_at', cutoff, limit);
+            pendingMessages = kept;
+            return removed;
+        },
+
+        async listRules(kind) {
+            return ruleRows(kind).map(copy);
+        },
+        async getRule(kind, id) {
+            return copy(ruleRows(kind).find(row => row.id === Number(id)));
+        },
+        async addRule(kind, fields, now) {
+            const id = nextId++;
+            rules[kind].push(newRuleRow(kind, id, fields, now));
+            return id;
+        },
+        async deleteRule(kind, id) {
+            const before = ruleRows(kind).length;
+            rules[kind] = ruleRows(kind).filter(row => row.id !== Number(id));
+            return rules[kind].length < before;
+        },
+        async setRuleEnabled(kind, id, enabled, now) {
+            const row = ruleRows(kind).find(item => item.id === Number(id));
+            if (row) Object.assign(row, { enabled: enabled ? 1 : 0, updated_at: now });
+        },
+        async recordRuleHit(kind, id) {
+            const row = ruleRows(kind).find(item => item.id === Number(id));
+            if (row) row.hit_count++;
+        },
+        async importConfig(values, ruleLists, now) {
+            // 先校验规则类型，保证要么全部写入要么都不写入
+            for (const kind of Object.keys(ruleLists)) ruleRows(kind);
+            for (const [key, value] of Object.entries(values)) {
+                config.set(key, { value: asText(value), updated_at: now });
+            }
+            for (const [kind, list] of Object.entries(ruleLists)) {
+                rules[kind] = list.map(fields => newRuleRow(kind, nextId++, fields, now));
+            }
+            bumpVersion(now);
+        },
+    };
+}
+
+/**
+* [新增] 每个 D1 绑定对应一个存储实例 (保存 isolate 级的迁移状态)；内存后端在 isolate 内共享
+*/
+const d1StorageCache = new WeakMap();
+let memoryStorage = null;
+
+/**
+* [新增] 是否配置了可用的存储后端
+*/
+function hasStorage(env) {
+    return !!(env.STORAGE || env.STORAGE_BACKEND === "memory" || env.TG_BOT_DB);
+}
+
+/**
+* [新增] 获取当前环境的存储后端
+* 1. env.STORAGE：直接注入的存储对象 (测试或本地运行)
+* 2. STORAGE_BACKEND=memory：内存存储
+* 3. 默认：D1 绑定 TG_BOT_DB
+*/
+function getStorage(env) {
+    if (env.STORAGE) {
+        return env.STORAGE;
+    }
+    if (env.STORAGE_BACKEND === "memory") {
+        if (!memoryStorage) memoryStorage = createMemoryStorage();
+        return memoryStorage;
+    }
+    // 确保 D1 绑定存在
+    if (!env.TG_BOT_DB) {
+        throw new Error("D1 database binding 'TG_BOT_DB' is missing.");
+    }
+    let storage = d1StorageCache.get(env.TG_BOT_DB);
+    if (!storage) {
+        storage = createD1Storage(env.TG_BOT_DB);
+        d1StorageCache.set(env.TG_BOT_DB, storage);
+    }
+    return storage;
+}
+
+/**
+* [D1 Abstraction] 数据库迁移/初始化函数
+* 每个 isolate 只检查一次，之后的请求直接跳过。
+*/
+async function dbMigrate(env) {
+    try {
+        await getStorage(env).migrate();
+    } catch (e) {
+        console.error("D1 Migration Failed:", e);
+        throw new Error(`D1 Initialization Failed: ${e.message}`);
+    }
+}
+  
+  
+  // --- 辅助函数 ---
+  
+  function escapeHtml(text) {
+  if (!text) return '';
+  // Cloudflare Worker 不支持 String.prototype.replaceAll, 使用全局替换
+  return text.toString()
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+  
+  /**
+  * [新增] 格式化 Unix 时间戳为本地时间字符串
+  */
+  function formatTimestamp(timestamp) {
+    if (!timestamp) return '时间未知';
+    // Telegram timestamps are in seconds
+    return new Date(timestamp * 1000).toLocaleString('zh-CN', {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: false
+    });
+  }
+  
+  function getUserInfo(user, initialTimestamp = null) {
+    const userId = user.id.toString();
+    const rawName = (user.first_name || "") + (user.last_name ? ` ${user.last_name}` : "");
+    const rawUsername = user.username ? `@${user.username}` : "无";
+    
+    const safeName = escapeHtml(rawName);
+    const safeUsername = escapeHtml(rawUsername);
+    const safeUserId = escapeHtml(userId);
+  
+    const topicName = `${rawName.trim()} | ${userId}`.substring(0, 128);
+  
+    const timestamp = initialTimestamp ? new Date(initialTimestamp * 1000).toLocaleString('zh-CN') : new Date().toLocaleString('zh-CN');
+    
+    // 还原为原始代码，不再尝试将文本设为链接
+    const infoCard = `
+  <b>👤 用户资料卡</b>
+  • 用户名: <code>${safeUsername}</code>
+  • ID: <code>${safeUserId}</code>
+    `.trim();
+  
+    return { userId, name: rawName, username: rawUsername, topicName, infoCard };
+  }
+  
+/**
+* [⭐️ 修改] 生成用户资料卡下方的操作按钮（屏蔽/解禁/置顶/静音）
+*/
+function getInfoCardButtons(userId, isBlocked, isMuted) {
+    const blockAction = isBlocked ? "unblock" : "block";
+    const blockText = isBlocked ? "✅ 解除屏蔽" : "🚫 屏蔽此人";
+    
+    // [⭐️ 新增] 静音按钮逻辑
+    const muteAction = isMuted ? "unmute" : "mute";
+    const muteText = isMuted ? "🔔 解除静音" : "🔕 静音通知";
+
+    return {
+        inline_keyboard: [
+            [{ // Row 1: Block + Mute (并排)
+                text: blockText,
+                callback_data: `${blockAction}:${userId}`
+            }, {
+                text: muteText,
+                callback_data: `${muteAction}:${userId}`
+            }],
+            [{ // Row 2: View Profile Button
+                text: "👤 查看用户资料",
+                url: `tg://user?id=${userId}` 
+            }],
+            [{ // Row 3: Pin Button
+                text: "📌 置顶此消息",
+                callback_data: `pin_card:${userId}` 
+            }]
+        ]
+    };
+}
+  
+/**
+* [新增] 在资料卡文本后追加用户的状态信息 (例如已停用机器人)
+*/
+function buildInfoCardText(infoCard, user) {
+    const statusLines = [];
+    if (user && (user.bot_status === 'kicked' || user.bot_status === 'left')) {
+        const statusName = user.bot_status === 'kicked' ? '已屏蔽机器人' : '已停用机器人';
+        statusLines.push(`  • 状态: ⛔ <b>${statusName}</b> (${formatTimestamp(user.bot_status_at)})`);
+    }
+    if (user && user.verif_attempts > 0) {
+        statusLines.push(`  • 验证失败: <b>${user.verif_attempts}</b> 次`);
+    }
+    return statusLines.length > 0 ? `${infoCard}\n${statusLines.join('\n')}` : infoCard;
+}
+
+/**
+* [新增] 资料卡汇总话题中的日志文本
+*/
+function buildProfileLogText(topicId, cardText) {
+    return `<b>#新用户连接</b>\n话题ID: <code>${topicId}</code>\n\n${cardText}`;
+}
+
+/**
+* [新增] 重新渲染用户话题内的资料卡和资料卡汇总中的对应条目
+* telegramUser 为 Telegram 的 User 对象，用于生成资料卡的基础内容。
+*/
+async function refreshUserInfoCards(userId, user, telegramUser, env) {
+    const cardText = buildInfoCardText(getUserInfo(telegramUser).infoCard, user);
+    const cardMarkup = getInfoCardButtons(userId, user.is_blocked, user.is_muted);
+
+    if (user.info_card_message_id) {
+        await telegramApi(env.BOT_TOKEN, "editMessageText", {
+            chat_id: env.ADMIN_GROUP_ID,
+            message_id: user.info_card_message_id,
+            text: cardText,
+            parse_mode: "HTML",
+            reply_markup: cardMarkup,
+        }).catch(e => console.warn("刷新私聊资料卡失败:", e.message));
+    }
+
+    if (user.profile_log_message_id && user.topic_id) {
+        const cleanGroupId = env.ADMIN_GROUP_ID.toString().replace(/^-100/, '');
+        const logMarkup = JSON.parse(JSON.stringify(cardMarkup));
+        logMarkup.inline_keyboard.push([{ text: "💬 跳转到会话窗口", url: `https://t.me/c/${cleanGroupId}/${user.topic_id}` }]);
+        await telegramApi(env.BOT_TOKEN, "editMessageText", {
+            chat_id: env.ADMIN_GROUP_ID,
+            message_id: user.profile_log_message_id,
+            text: buildProfileLogText(user.topic_id, cardText),
+            parse_mode: "HTML",
+            reply_markup: logMarkup,
+        }).catch(e => console.warn("刷新资料卡汇总失败:", e.message));
+    }
+}
+  
+/**
+ * [新增] 确保存在一个用于汇总用户资料卡的话题
+ */
+async function ensureLogTopicExists(env) {
+  const logTopicKey = 'user_profile_log_topic_id';
+  // 1. 尝试从配置中获取已存在的汇总话题 ID
+  let logTopicId = await dbConfigGet(logTopicKey, env);
+
+  // 2. 如果没有，创建一个新的
+  if (!logTopicId) {
+      try {
+          const topic = await telegramApi(env.BOT_TOKEN, "createForumTopic", {
+              chat_id: env.ADMIN_GROUP_ID,
+              name: "📋 用户资料卡汇总 (User Logs)",
+              icon_custom_emoji_id: null // 可选：设置图标
+          });
+          logTopicId = topic.message_thread_id.toString();
+          // 保存到 D1 配置中，避免重复创建
+          await dbConfigPut(logTopicKey, logTopicId, env);
+      } catch (e) {
+          console.error("创建汇总话题失败:", e);
+          return null; // 创建失败返回 null
+      }
+  }
+  return logTopicId;
+}
+
+/**
+ * [⭐️ 新增] 确保存在一个用于管理屏蔽/静音用户的专用话题
+ * 用于统计和操作屏蔽/静音名单。
+ */
+async function ensureBlockLogTopicExists(env) {
+    const logTopicKey = 'user_block_log_topic_id';
+    let logTopicId = await dbConfigGet(logTopicKey, env);
+  
+    if (!logTopicId) {
+        try {
+            const topic = await telegramApi(env.BOT_TOKEN, "createForumTopic", {
+                chat_id: env.ADMIN_GROUP_ID,
+                name: "🚫 屏蔽与静音名单 (Block/Mute Log)",
+                icon_custom_emoji_id: null 
+            });
+            logTopicId = topic.message_thread_id.toString();
+            await dbConfigPut(logTopicKey, logTopicId, env);
+        } catch (e) {
+            console.error("创建屏蔽名单话题失败:", e);
+            return null; 
+        }
+    }
+    return logTopicId;
+}
+  
+/**
+ * [新增] 确保存在一个用于接收定时任务报告的话题
+ */
+async function ensureMaintenanceLogTopicExists(env) {
+    const logTopicKey = 'maintenance_log_topic_id';
+    let logTopicId = await dbConfigGet(logTopicKey, env);
+  
+    if (!logTopicId) {
+        try {
+            const topic = await telegramApi(env.BOT_TOKEN, "createForumTopic", {
+                chat_id: env.ADMIN_GROUP_ID,
+                name: "🛠️ 系统维护日志 (Maintenance Log)",
+                icon_custom_emoji_id: null 
+            });
+            logTopicId = topic.message_thread_id.toString();
+            await dbConfigPut(logTopicKey, logTopicId, env);
+        } catch (e) {
+            console.error("创建维护日志话题失败:", e);
+            return null; 
+        }
+    }
+    return logTopicId;
+}
+  
+  /**
+  * 优先从 D1 获取配置，其次从环境变量获取，最后使用默认值。
+  */
+  async function getConfig(key, env, defaultValue) {
+    const configValue = await dbConfigGet(key, env);
+    
+    // 如果 D1 中有配置，直接返回 D1 的值
+    if (configValue !== null) {
+        return configValue;
+    }
+    
+    // 如果 D1 中没有，检查环境变量（作为后备或兼容性）
+    const envKey = key.toUpperCase()
+                      .replace('WELCOME_MSG', 'WELCOME_MESSAGE')
+                      .replace('VERIF_Q', 'VERIFICATION_QUESTION')
+                      .replace('VERIF_A', 'VERIFICATION_ANSWER')
+                      .replace(/_FORWARDING/g, '_FORWARDING');
+    
+    const envValue = env[envKey];
+    if (envValue !== undefined && envValue !== null) {
+        return envValue;
+    }
+    
+    // 都没有，返回代码默认值
+    return defaultValue;
+  }
+  
+  /**
+  * 检查用户是否是主管理员 (来自 ADMIN_IDS 环境变量)
+  */
+  function isPrimaryAdmin(userId, env) {
+    if (!env.ADMIN_IDS) return false;
+    // 确保 ADMIN_IDS 是逗号分隔的字符串
+    const adminIds = env.ADMIN_IDS.split(',').map(id => id.trim());
+    return adminIds.includes(userId.toString());
+  }
+  
+  
+  /**
+  * [新增] 获取授权协管员 ID 列表
+  */
+  async function getAuthorizedAdmins(env) {
     const jsonString = await getConfig('authorized_admins', env, '[]');
     try {
-        const adminList = JSON.parse(jsonString);
-        // 确保列表是有效的数组，并且所有元素都被修剪并转换为字符串
-        return Array.isArray(adminList) ? adminList.map(id => id.toString().trim()).filter(id => id !== "") : [];
+        const adminList = JSON.parse(jsonString);
+        // 确保列表是有效的数组，并且所有元素都被修剪并转换为字符串
+        return Array.isArray(adminList) ? adminList.map(id => id.toString().trim()).filter(id => id !== "") : [];
+    } catch (e) {
+        console.error("Failed to parse authorized_admins from D1:", e);
+        return [];
+    }
+  }
+  
+  /**
+  * 检查用户是否是任意管理员 (主管理员或授权协管员)
+  */
+  async function isAdminUser(userId, env) {
+    // 1. 检查是否是主管理员 (ADMIN_IDS 环境变量)
+    if (isPrimaryAdmin(userId, env)) {
+        return true;
+    }
+  
+    // 2. 检查是否是授权协管员 (D1 配置)
+    const authorizedAdmins = await getAuthorizedAdmins(env);
+    return authorizedAdmins.includes(userId.toString());
+  }
+  
+  
+  // --- 规则管理重构区域 ---
+  
+  /**
+  * 获取自动回复规则列表 ([⭐️ 修改] 来自 auto_reply_rules 表)
+  * 结构：[{ id, keywords: "a|b", response: "reply", enabled: 1, hit_count, created_at, updated_at }, ...]
+  */
+  async function getAutoReplyRules(env) {
+    return await dbRuleList('auto_reply', env);
+  }
+  
+  /**
+  * 获取屏蔽关键词规则列表 ([⭐️ 修改] 来自 block_rules 表)
+  * 结构：[{ id, pattern: "keyword1|keyword2", enabled: 1, hit_count, created_at, updated_at }, ...]
+  */
+  async function getBlockRules(env) {
+    return await dbRuleList('block', env);
+  }
+  
+  /**
+  * [新增] 规则在配置菜单和导出文件中使用的 key 与规则类型的对应关系
+  */
+  const RULE_CONFIG_KEYS = { keyword_responses: 'auto_reply', block_keywords: 'block', verif_questions: 'question' };
+  
+  
+  // --- API 客户端 ---
+  
+  async function telegramApi(token, methodName, params = {}) {
+    const url = `https://api.telegram.org/bot${token}/${methodName}`;
+    let response;
+    // [新增] 上传文件时 params 为 FormData，由 fetch 自动设置 multipart 请求头
+    const isMultipart = typeof FormData !== "undefined" && params instanceof FormData;
+    try {
+        response = await fetch(url, isMultipart ? { method: "POST", body: params } : {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify(params),
+        });
+    } catch (e) {
+        // [新增] 网络层错误同样标记为可重试
+        const error = new Error(`${methodName} failed: ${e.message || e}`);
+        error.is_network_error = true;
+        throw error;
+    }
+  
+    let data;
+    try {
+        data = await response.json();
+    } catch (e) {
+        console.error(`Telegram API ${methodName} 返回非 JSON 响应`);
+        const error = new Error(`Telegram API ${methodName} returned non-JSON response`);
+        error.error_code = response.status;
+        throw error;
+    }
+  
+    if (!data.ok) {
+        // 捕获 API 错误，用于话题不存在等场景
+        // console.error(`Telegram API error (${methodName}): ${data.description}. Params: ${JSON.stringify(params)}`);
+        const error = new Error(`${methodName} failed: ${data.description || JSON.stringify(data)}`);
+        // [新增] 保留错误码与 retry_after，供重试队列判断
+        error.error_code = data.error_code;
+        error.retry_after = data.parameters?.retry_after;
+        throw error;
+    }
+  
+    return data.result;
+  }
+  
+  /**
+  * [新增] 上传一个文本文件 (sendDocument)
+  */
+  async function telegramSendDocument(token, params, fileName, content, mimeType) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) continue;
+        form.append(key, typeof value === "object" ? JSON.stringify(value) : String(value));
+    }
+    form.append("document", new Blob([content], { type: mimeType }), fileName);
+    return telegramApi(token, "sendDocument", form);
+  }
+  
+  /**
+  * [新增] 下载用户发送的文件内容 (getFile + 文件下载地址)，超过 maxBytes 时抛出错误
+  */
+  async function telegramDownloadFile(token, fileId, maxBytes) {
+    const file = await telegramApi(token, "getFile", { file_id: fileId });
+    if (file.file_size && file.file_size > maxBytes) {
+        throw new Error(`文件过大 (${file.file_size} 字节)`);
+    }
+    const response = await fetch(`https://api.telegram.org/file/bot${token}/${file.file_path}`);
+    if (!response.ok) {
+        throw new Error(`文件下载失败: HTTP ${response.status}`);
+    }
+    return await response.text();
+  }
+  
+  /**
+  * [新增] 判断 Telegram 错误是否值得重试 (429 限流、5xx、网络错误)
+  */
+  function isRetryableTelegramError(e) {
+    if (!e) return false;
+    if (e.is_network_error) return true;
+    return e.error_code === 429 || (typeof e.error_code === "number" && e.error_code >= 500);
+  }
+  
+  /**
+  * [新增] 出站重试队列参数
+  */
+  const OUTBOUND_MAX_ATTEMPTS = 8;
+  const OUTBOUND_BASE_DELAY_SECONDS = 30;
+  const OUTBOUND_MAX_DELAY_SECONDS = 60 * 60;
+  
+  /**
+  * [新增] 计算第 attempts 次失败后的下一次重试时间 (指数退避，并遵守 retry_after)
+  */
+  function getOutboundNextAttemptAt(attempts, error) {
+    const backoff = Math.min(OUTBOUND_BASE_DELAY_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)), OUTBOUND_MAX_DELAY_SECONDS);
+    const retryAfter = error && error.retry_after ? error.retry_after : 0;
+    return Math.floor(Date.now() / 1000) + Math.max(backoff, retryAfter);
+  }
+  
+  /**
+  * [新增] 将发送失败的请求放入出站重试队列，由定时任务 drain_outbound_queue 重放。
+  * context 用于最终放弃时通知对应的一方，例如 { type: 'admin_reply', topic_id }。
+  */
+  async function enqueueOutbound(env, method, params, context, error) {
+    await dbOutboundEnqueue({
+        method,
+        params_json: JSON.stringify(params),
+        context_json: JSON.stringify(context || {}),
+        attempts: 1,
+        next_attempt_at: getOutboundNextAttemptAt(1, error),
+        last_error: error ? (error.message || String(error)) : null,
+    }, env);
+    console.warn(`${method} 已加入重试队列: ${error ? error.message : ""}`);
+  }
+  
+  
+  /**
+  * [新增] Telegram 回调时会在 X-Telegram-Bot-Api-Secret-Token 头中携带的密钥。
+  * 未配置 WEBHOOK_SECRET 时返回 null，此时不做校验（兼容旧部署），但会记录警告，/health 也会报告失败。
+  */
+  function getWebhookSecret(env) {
+    const secret = (env.WEBHOOK_SECRET || "").toString().trim();
+    return secret || null;
+  }
+  
+  /**
+  * [新增] 常量时间字符串比较，避免通过响应时间猜测密钥
+  */
+  function safeCompare(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+  
+  /**
+  * [新增] 校验请求是否真的来自 Telegram (比对 Secret Token)
+  */
+  function isValidWebhookRequest(request, env) {
+    const secret = getWebhookSecret(env);
+    if (!secret) {
+        console.warn("未配置 WEBHOOK_SECRET，无法校验更新是否来自 Telegram，任何人都可以伪造请求。");
+        return true;
+    }
+    const headerToken = request.headers.get("X-Telegram-Bot-Api-Secret-Token") || "";
+    return safeCompare(headerToken, secret);
+  }
+  
+  /**
+  * [新增] 注册 Webhook。配置了 WEBHOOK_SECRET 时会一并提交 secret_token，
+  * Telegram 之后的每次推送都会带上该密钥。
+  */
+  async function registerWebhook(env, webhookUrl, extraParams = {}) {
+    const params = { url: webhookUrl, ...extraParams };
+    const secret = getWebhookSecret(env);
+    if (secret) {
+        params.secret_token = secret;
+    }
+    return telegramApi(env.BOT_TOKEN, "setWebhook", params);
+  }
+  
+  
+  // --- 部署安装 (/setup) ---
+  
+  /**
+  * [新增] Webhook 订阅的更新类型
+  */
+  const ALLOWED_UPDATES = ["message", "edited_message", "callback_query", "my_chat_member", "message_reaction"];
+  
+  /**
+  * [新增] 私聊中显示的命令菜单
+  */
+  const BOT_COMMANDS = [
+    { command: "start", description: "开始使用 / 打开配置菜单" },
+  ];
+  
+  /**
+  * [新增] 管理员群组中显示的命令菜单 (在用户话题内使用)
+  */
+  const ADMIN_GROUP_COMMANDS = [
+    { command: "trace", description: "回复一条消息，查看它在私聊中的对应消息" },
+    { command: "del", description: "回复自己的一条回复将其撤回；/del N 撤回自己最近 N 条" },
+    { command: "export", description: "导出该用户的完整会话记录 (HTML + JSON)" },
+  ];
+  
+  /**
+  * [新增] 校验受保护 HTTP 路由的访问密钥 (?secret=WEBHOOK_SECRET)
+  */
+  function isAuthorizedRouteRequest(url, env) {
+    const secret = getWebhookSecret(env);
+    if (!secret) return false;
+    return safeCompare(url.searchParams.get("secret") || "", secret);
+  }
+  
+  /**
+  * [新增] 一键安装：验证 Token、注册 Webhook、设置命令、检查管理员群组。
+  * 返回一份可读的检查清单，失败项会指向 README 常见报错中的对应说明。
+  */
+  async function handleSetupRequest(request, env) {
+    const url = new URL(request.url);
+    if (!getWebhookSecret(env)) {
+        return new Response("❌ 请先在环境变量中设置 WEBHOOK_SECRET，再访问 /setup?secret=<WEBHOOK_SECRET>。", { status: 403, headers: { "Content-Type": "text/plain; charset=utf-8" } });
+    }
+    if (!isAuthorizedRouteRequest(url, env)) {
+        return new Response("Forbidden", { status: 403 });
+    }
+  
+    const lines = [];
+    let allPassed = true;
+    const pass = (text) => lines.push(`✅ ${text}`);
+    const fail = (text, hint) => {
+        allPassed = false;
+        lines.push(`❌ ${text}`);
+        if (hint) lines.push(`   ↳ ${hint}`);
+    };
+  
+    // 1. D1 数据库
+    try {
+        await dbMigrate(env);
+        pass("D1 数据库 TG_BOT_DB 已绑定，表结构正常");
+    } catch (e) {
+        fail(`D1 数据库不可用: ${e.message}`, "见 README [说明4]/[说明5]：检查 D1 绑定，变量名称必须是 TG_BOT_DB");
+    }
+  
+    // 2. Bot Token
+    let botInfo = null;
+    try {
+        botInfo = await telegramApi(env.BOT_TOKEN, "getMe");
+        pass(`BOT_TOKEN 有效: @${botInfo.username} (ID: ${botInfo.id})`);
+    } catch (e) {
+        fail(`BOT_TOKEN 无效: ${e.message}`, "见 README [说明2]：变量的 BOT_TOKEN 错了，重新获取");
+    }
+  
+    if (botInfo) {
+        // 3. Webhook
+        const webhookUrl = `${url.origin}/`;
+        try {
+            await registerWebhook(env, webhookUrl, { allowed_updates: ALLOWED_UPDATES });
+            pass(`Webhook 已注册: ${webhookUrl} (已携带密钥，订阅: ${ALLOWED_UPDATES.join(", ")})`);
+        } catch (e) {
+            fail(`Webhook 注册失败: ${e.message}`, "见 README [说明6]：WEBHOOK_SECRET 只能包含 A-Z a-z 0-9 _ -");
+        }
+  
+        // 4. 命令菜单
+        try {
+            await telegramApi(env.BOT_TOKEN, "setMyCommands", { commands: BOT_COMMANDS });
+            if (env.ADMIN_GROUP_ID) {
+                await telegramApi(env.BOT_TOKEN, "setMyCommands", {
+                    commands: ADMIN_GROUP_COMMANDS,
+                    scope: { type: "chat", chat_id: env.ADMIN_GROUP_ID },
+                });
+            }
+            pass("命令菜单已设置");
+        } catch (e) {
+            fail(`命令菜单设置失败: ${e.message}`);
+        }
+  
+        // 5. 管理员群组
+        if (!env.ADMIN_GROUP_ID) {
+            fail("未设置 ADMIN_GROUP_ID", "见 README [说明1]：用 @nmbot 拉到群里发送 /id 获取，必须是 -100 开头");
+        } else {
+            try {
+                const chat = await telegramApi(env.BOT_TOKEN, "getChat", { chat_id: env.ADMIN_GROUP_ID });
+                if (chat.type !== "supergroup") {
+                    fail(`ADMIN_GROUP_ID 不是超级群组 (当前类型: ${chat.type})`, "见 README [说明1]：群组不是超级群组，ID 不是 -100 开头的删除重建");
+                } else if (!chat.is_forum) {
+                    fail("ADMIN_GROUP_ID 未开启话题功能", "见 README [说明1]：在群组设置中开启“话题”");
+                } else {
+                    pass(`管理员群组: ${chat.title} (已开启话题)`);
+                }
+            } catch (e) {
+                fail(`无法读取 ADMIN_GROUP_ID 群组: ${e.message}`, "见 README [说明1]：群组 ID 获取不对，或机器人不在群内");
+            }
+  
+            try {
+                const member = await telegramApi(env.BOT_TOKEN, "getChatMember", { chat_id: env.ADMIN_GROUP_ID, user_id: botInfo.id });
+                if (member.status !== "administrator" && member.status !== "creator") {
+                    fail(`机器人不是群组管理员 (当前身份: ${member.status})`, "见 README [说明1]：机器人提权失败，按教程重新提权");
+                } else if (!member.can_manage_topics) {
+                    fail("机器人没有“管理话题”权限", "见 README [说明1]：机器人提权失败，按教程重新提权并勾选管理话题");
+                } else {
+                    pass("机器人是群组管理员，且拥有“管理话题”权限");
+                }
+            } catch (e) {
+                fail(`无法读取机器人在群组中的权限: ${e.message}`, "见 README [说明1]");
+            }
+        }
+    }
+  
+    // 6. 管理员 ID
+    const adminIds = (env.ADMIN_IDS || "").split(",").map(id => id.trim()).filter(id => id !== "");
+    if (adminIds.length === 0) {
+        fail("未设置 ADMIN_IDS", "见 README [说明3]：管理员 ID 必须是数字 ID，不是用户名也不是昵称");
+    } else if (adminIds.some(id => !/^\d+$/.test(id))) {
+        fail(`ADMIN_IDS 格式不正确: ${adminIds.join(", ")}`, "见 README [说明3]：管理员 ID 必须是数字 ID，多个用英文逗号分隔");
+    } else {
+        pass(`主管理员: ${adminIds.join(", ")}`);
+    }
+  
+    const header = allPassed
+        ? "🎉 安装完成！管理员私聊机器人发送 /start 即可进入配置菜单。"
+        : "⚠️ 安装未完成，请根据以下提示修正后重新访问本页面。";
+    const body = `${header}\n\n${lines.join("\n")}\n`;
+    return new Response(body, {
+        status: allPassed ? 200 : 500,
+        headers: { "Content-Type": "text/plain; charset=utf-8" },
+    });
+  }
+  
+  
+  // --- 诊断 (/health) ---
+  
+  /**
+  * [新增] 检查话题是否仍然存在 (对已删除的话题发送 chat action 会报 thread not found)
+  */
+  async function checkForumTopicExists(env, topicId) {
+    try {
+        await telegramApi(env.BOT_TOKEN, "sendChatAction", {
+            chat_id: env.ADMIN_GROUP_ID,
+            message_thread_id: topicId,
+            action: "typing",
+        });
+        return { exists: true };
+    } catch (e) {
+        return { exists: false, error: e.message };
+    }
+  }
+  
+  /**
+  * [新增] 健康检查：以 JSON 汇报 D1、Bot、Webhook、管理员群组与日志话题的状态。
+  * 配置了 WEBHOOK_SECRET 时需要携带 ?secret=<WEBHOOK_SECRET> 访问。
+  */
+  async function handleHealthRequest(request, env) {
+    const url = new URL(request.url);
+    if (getWebhookSecret(env) && !isAuthorizedRouteRequest(url, env)) {
+        return new Response("Forbidden", { status: 403 });
+    }
+  
+    const report = { ok: true, checked_at: new Date().toISOString() };
+    const markFailed = (section, error) => {
+        report.ok = false;
+        report[section] = { ...(report[section] || {}), ok: false, error };
+    };
+  
+    // 1. D1 绑定与结构版本 (只读，不会触发迁移)
+    const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+    if (!hasStorage(env)) {
+        markFailed("database", "D1 database binding 'TG_BOT_DB' is missing.");
+    } else {
+        try {
+            await getStorage(env).ping();
+            let schemaVersion = 0;
+            try {
+                schemaVersion = await dbSchemaVersion(env);
+            } catch (e) {
+                // schema_migrations 表尚不存在
+            }
+            report.database = { ok: schemaVersion === latestVersion, schema_version: schemaVersion, latest_version: latestVersion };
+            if (schemaVersion !== latestVersion) report.ok = false;
+        } catch (e) {
+            markFailed("database", e.message);
+        }
+    }
+  
+    // 2. Bot 信息
+    let botInfo = null;
+    try {
+        botInfo = await telegramApi(env.BOT_TOKEN, "getMe");
+        report.bot = { ok: true, id: botInfo.id, username: botInfo.username };
+    } catch (e) {
+        markFailed("bot", e.message);
+    }
+  
+    // 3. Webhook 状态 (包括最近一次推送错误)
+    if (botInfo) {
+        try {
+            const info = await telegramApi(env.BOT_TOKEN, "getWebhookInfo");
+            report.webhook = {
+                ok: !!info.url,
+                url: info.url,
+                pending_update_count: info.pending_update_count,
+                allowed_updates: info.allowed_updates || null,
+                last_error_date: info.last_error_date ? new Date(info.last_error_date * 1000).toISOString() : null,
+                last_error_message: info.last_error_message || null,
+            };
+            if (!report.webhook.ok) report.ok = false;
+        } catch (e) {
+            markFailed("webhook", e.message);
+        }
+    }
+  
+    // 4. 管理员群组：是否为论坛，以及机器人的管理权限
+    if (!env.ADMIN_GROUP_ID) {
+        markFailed("admin_group", "ADMIN_GROUP_ID is not set.");
+    } else if (botInfo) {
+        try {
+            const chat = await telegramApi(env.BOT_TOKEN, "getChat", { chat_id: env.ADMIN_GROUP_ID });
+            const member = await telegramApi(env.BOT_TOKEN, "getChatMember", { chat_id: env.ADMIN_GROUP_ID, user_id: botInfo.id });
+            const rights = {};
+            for (const [key, value] of Object.entries(member)) {
+                if (key.startsWith("can_")) rights[key] = value;
+            }
+            const isAdmin = member.status === "administrator";
+            report.admin_group = {
+                ok: chat.type === "supergroup" && !!chat.is_forum && isAdmin && !!member.can_manage_topics,
+                id: env.ADMIN_GROUP_ID.toString(),
+                type: chat.type,
+                is_forum: !!chat.is_forum,
+                bot_status: member.status,
+                bot_rights: rights,
+            };
+            if (!report.admin_group.ok) report.ok = false;
+        } catch (e) {
+            markFailed("admin_group", e.message);
+        }
+    }
+  
+    // 5. 配置中记录的日志话题是否仍然存在
+    if (hasStorage(env) && env.ADMIN_GROUP_ID && botInfo) {
+        report.log_topics = {};
+        for (const key of ['user_profile_log_topic_id', 'user_block_log_topic_id']) {
+            try {
+                const topicId = await dbConfigGet(key, env);
+                if (!topicId) {
+                    report.log_topics[key] = { id: null, exists: false };
+                    continue;
+                }
+                report.log_topics[key] = { id: topicId, ...(await checkForumTopicExists(env, topicId)) };
+            } catch (e) {
+                report.log_topics[key] = { id: null, exists: false, error: e.message };
+            }
+        }
+    }
+  
+    // 6. Webhook 密钥：未配置时无法校验更新来源
+    if (getWebhookSecret(env)) {
+        report.webhook_secret = { ok: true };
+    } else {
+        markFailed("webhook_secret", "WEBHOOK_SECRET is not set; incoming updates are not authenticated.");
+    }
+  
+    return new Response(JSON.stringify(report, null, 2), {
+        status: report.ok ? 200 : 503,
+        headers: { "Content-Type": "application/json; charset=utf-8" },
+    });
+  }
+  
+  
+  // --- 核心更新处理函数 ---
+  
+  export default {
+  async fetch(request, env, ctx) {
+      // [新增] 一键安装路由
+      const { pathname } = new URL(request.url);
+      if (pathname === "/setup") {
+          // 只接受 GET (浏览器访问) 和 POST，其他方法不会触发 setWebhook 等副作用
+          if (request.method !== "GET" && request.method !== "POST") {
+              return new Response("Method Not Allowed", { status: 405, headers: { "Allow": "GET, POST" } });
+          }
+          return handleSetupRequest(request, env);
+      }
+      // [新增] 诊断路由
+      if (pathname === "/health" && request.method === "GET") {
+          return handleHealthRequest(request, env);
+      }
+  
+      // Telegram 只会以 POST 推送更新，其他方法直接拒绝
+      if (request.method !== "POST") {
+          return new Response("Method Not Allowed", { status: 405, headers: { "Allow": "POST" } });
+      }
+  
+      // [新增] 校验 Webhook 密钥，防止伪造的管理员消息或回调
+      if (!isValidWebhookRequest(request, env)) {
+          return new Response("Unauthorized", { status: 401 });
+      }
+  
+      // 关键修正：在处理任何请求之前，先运行数据库迁移，确保表结构存在。
+      try {
+            await dbMigrate(env);
+      } catch (e) {
+            // 如果迁移失败，直接返回错误，防止后续 D1 调用失败
+            return new Response(`D1 Database Initialization Error: ${e.message}`, { status: 500 });
+      }
+  
+      let update;
+      try {
+          update = await request.json();
+      } catch (e) {
+          return new Response("Bad Request: invalid JSON", { status: 400 });
+      }
+      if (!update || typeof update !== "object" || Array.isArray(update)) {
+          return new Response("Bad Request: invalid update", { status: 400 });
+      }
+  
+      // 使用 ctx.waitUntil 确保异步处理不会被 Worker 提前终止
+      ctx.waitUntil(handleUpdate(update, env).catch(e => {
+          console.error("处理更新时出错:", e);
+      }));
+      return new Response("OK");
+  },
+  
+  // [新增] Cron 触发器入口
+  async scheduled(event, env, ctx) {
+      ctx.waitUntil(runScheduledJobs(event, env).catch(e => {
+          console.error("定时任务执行出错:", e);
+      }));
+  },
+  };
+  
+  /**
+  * [新增] update_id 去重记录的保留时间 (秒)
+  */
+  const UPDATE_DEDUP_TTL_SECONDS = 24 * 60 * 60;
+  
+  async function handleUpdate(update, env) {
+    // [新增] 本次 update 内的配置读取共用一份快照
+    env = withConfigSnapshot(env);
+  
+    // [新增] 幂等处理：Telegram 在处理较慢时会重复投递同一个 update
+    if (typeof update.update_id === "number") {
+        const isFirstDelivery = await dbUpdateClaim(update.update_id, env);
+        if (!isFirstDelivery) {
+            console.warn(`跳过重复投递的更新: ${update.update_id}`);
+            return;
+        }
+        // 顺带清理过期记录，避免表无限增长
+        if (update.update_id % 100 === 0) {
+            await dbUpdatePurgeExpired(UPDATE_DEDUP_TTL_SECONDS, env).catch(e => console.error("清理 processed_updates 失败:", e.message));
+        }
+    }
+  
+    if (update.message) {
+        if (update.message.chat.type === "private") {
+            await handlePrivateMessage(update.message, env);
+        }
+        else if (update.message.chat.id.toString() === env.ADMIN_GROUP_ID) {
+            await handleAdminReply(update.message, env);
+        }
+    } else if (update.edited_message) {
+        if (update.edited_message.chat.type === "private") {
+            await handleRelayEditedMessage(update.edited_message, env);
+        }
+        // --- 修复点：添加管理员编辑消息的路由 ---
+        else if (update.edited_message.chat.id.toString() === env.ADMIN_GROUP_ID) {
+            await handleAdminEditedReply(update.edited_message, env);
+        }
+        // --- 修复点结束 ---
+    } else if (update.callback_query) {
+        await handleCallbackQuery(update.callback_query, env);
+    } else if (update.message_reaction) {
+        // [新增] 表情回应双向同步
+        await handleMessageReaction(update.message_reaction, env);
+    } else if (update.my_chat_member) {
+        // [新增] 用户停用/屏蔽或重新启动机器人
+        if (update.my_chat_member.chat.type === "private") {
+            await handleMyChatMember(update.my_chat_member, env);
+        }
+    }
+  }
+  
+  async function handlePrivateMessage(message, env) {
+    const chatId = message.chat.id.toString();
+    const text = message.text || "";
+    const userId = chatId;
+  
+    // 检查是否是主管理员 (只有主管理员能访问配置菜单)
+    const isPrimary = isPrimaryAdmin(userId, env);
+    // 检查是否是任意管理员 (主管理员或授权协管员)
+    const isAdmin = await isAdminUser(userId, env);
+    
+    // 1. 检查 /start 或 /help 命令
+    if (text === "/start" || text === "/help") {
+        if (isPrimary) { // 只有主管理员能访问配置菜单
+            await handleAdminConfigStart(chatId, env);
+        } else {
+            await handleStart(chatId, env);
+        }
+        return;
+    }
+    
+    // 从 D1 获取用户数据 ([新增] 顺带解除已到期的自动处罚)
+    const user = await liftExpiredPenalty(userId, await dbUserGetOrCreate(userId, env), env);
+    const isBlocked = user.is_blocked;
+  
+    if (isBlocked) {
+        return; 
+    }
+    
+    // 主管理员在配置编辑状态中发送的文本输入
+    if (isPrimary) {
+        const adminStateJson = await dbAdminStateGet(userId, env);
+        if (adminStateJson) {
+            await handleAdminConfigInput(userId, text, adminStateJson, env, message);
+            return;
+        }
+        
+        // --- 核心修复: 确保主管理员用户跳过验证 ---
+        if (user.user_state !== "verified") {
+            // 更新本地 user 对象和 D1 数据库
+            user.user_state = "verified"; 
+            await dbUserUpdate(userId, { user_state: "verified" }, env); 
+        }
+        // --- 修复结束 ---
+    }
+    
+    // --- [新增] 协管员绕过验证逻辑 ---
+    if (isAdmin && user.user_state !== "verified") {
+        user.user_state = "verified"; 
+        await dbUserUpdate(userId, { user_state: "verified" }, env); 
+    }
+    // --- [新增] 协管员绕过验证逻辑结束 ---
+  
+    // 2. 检查用户的验证状态
+    const userState = user.user_state;
+  
+    if (userState === "verified") {
+        // [新增] 上次未能转发的暂存消息先按顺序补发
+        let currentUser = user;
+        if (await dbPendingMessageCount(chatId, env) > 0) {
+            await relayPendingMessages(chatId, env);
+            currentUser = await dbUserGetOrCreate(chatId, env); // 补发时可能刚创建了话题或触发了屏蔽
+            if (currentUser.is_blocked) return;
+        }
+        await handleVerifiedMessage(message, currentUser, isAdmin, env);
+    } else if (userState === "pending_verification" && text && await getVerificationMode(env) === 'text') {
+        // 文字作答模式下，待验证用户发送的文字视为验证答案
+        await handleVerification(chatId, text, env);
+    } else if (text.startsWith('/')) {
+        await telegramApi(env.BOT_TOKEN, "sendMessage", {
+            chat_id: chatId,
+            text: "请使用 /start 命令开始。",
+        });
+    } else {
+        // [新增] 验证前发送的消息 (含媒体) 先暂存，验证通过后再转发，不再被当作答案丢弃
+        await holdPendingMessage(chatId, message, env);
+        if (userState === "pending_verification") {
+            if (await getVerificationMode(env) !== 'text') {
+                await handleVerification(chatId, text, env); // 重新发送按钮题目
+            }
+        } else {
+            await handleStart(chatId, env);
+        }
+    }
+  }
+  
+  /**
+  * [新增] 已验证用户的消息：防刷屏、关键词屏蔽、类型过滤、自动回复，最后转发到话题
+  * options.replay 为 true 表示补发验证前暂存的消息。
+  * 只有转发到话题失败时返回 false；被拦截、过滤或自动回复的消息视为已处理。
+  */
+  async function handleVerifiedMessage(message, user, isAdmin, env, options = {}) {
+    const chatId = message.chat.id.toString();
+    const text = message.text || "";
+    const userId = chatId;
+  
+    // --- [新增: 防刷屏检查] (验证前暂存的消息补发时跳过) ---
+    if (!isAdmin && !options.replay) {
+        const withinLimit = await enforceFloodControl(userId, user, env);
+        if (!withinLimit) {
+            return;
+        }
+    }
+    
+    // --- [关键词屏蔽检查] ---
+    const blockRules = (await getBlockRules(env)).filter(rule => rule.enabled === 1); // [⭐️ 修改] 只检查已启用的规则
+    const blockThreshold = parseInt(await getConfig('block_threshold', env, "5"), 10) || 5; 
+    
+    if (blockRules.length > 0 && text) { 
+        let currentCount = user.block_count;
+        
+        for (const rule of blockRules) {
+            const keyword = rule.pattern;
+            try {
+                // 使用新结构中的字符串构建 RegExp
+                const regex = new RegExp(keyword, 'gi'); 
+                if (regex.test(text)) {
+                    currentCount += 1;
+                    await dbRuleRecordHit('block', rule.id, env).catch(e => console.error("记录规则命中失败:", e.message));
+                    
+                    // 更新 D1 中的屏蔽计数
+                    await dbUserUpdate(userId, { block_count: currentCount }, env);
+                    
+                    const blockNotification = `⚠️ 您的消息触发了屏蔽关键词过滤器 (${currentCount}/${blockThreshold}次)，此消息已被丢弃，不会转发给对方。`;
+                    
+                    if (currentCount >= blockThreshold) {
+                        // 达到阈值，自动屏蔽用户 (is_blocked = 1)
+                        await dbUserUpdate(userId, { is_blocked: true }, env);
+                        const autoBlockMessage = `❌ 您已多次触发屏蔽关键词，根据设置，您已被自动屏蔽。机器人将不再接收您的任何消息。`;
+                        
+                        await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: chatId, text: blockNotification });
+                        await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: chatId, text: autoBlockMessage });
+                        return;
+                    }
+                    
+                    await telegramApi(env.BOT_TOKEN, "sendMessage", {
+                        chat_id: chatId,
+                        text: blockNotification,
+                    });
+  
+                    return; 
+                }
+            } catch(e) {
+                console.error("Invalid keyword block regex:", keyword, e);
+                // 忽略无效的正则，继续检查下一个
+            }
+        }
+    }
+  
+    // --- [转发内容过滤检查] ---
+    const filters = {
+        // 媒体类型
+        media: (await getConfig('enable_image_forwarding', env, 'true')).toLowerCase() === 'true',
+        link: (await getConfig('enable_link_forwarding', env, 'true')).toLowerCase() === 'true',
+        text: (await getConfig('enable_text_forwarding', env, 'true')).toLowerCase() === 'true',
+        audio_voice: (await getConfig('enable_audio_forwarding', env, 'true')).toLowerCase() === 'true', 
+        sticker_gif: (await getConfig('enable_sticker_forwarding', env, 'true')).toLowerCase() === 'true', 
+        
+        // [⭐️ 新增/修改] 三种细分的转发类型
+        user_forward: (await getConfig('enable_user_forwarding', env, 'true')).toLowerCase() === 'true', // 用户转发
+        group_forward: (await getConfig('enable_group_forwarding', env, 'true')).toLowerCase() === 'true', // 群组转发
+        channel_forward: (await getConfig('enable_channel_forwarding', env, 'true')).toLowerCase() === 'true', // 频道转发
+    };
+  
+    let isForwardable = true;
+    let filterReason = '';
+  
+    const hasLinks = (msg) => {
+        const entities = msg.entities || msg.caption_entities || [];
+        return entities.some(entity => entity.type === 'url' || entity.type === 'text_link');
+    };
+  
+    // 1. [⭐️ 修改逻辑] 细分转发类型检查
+    if (message.forward_from) {
+        // 来自“用户”的转发 (forward_from 存在即为用户)
+        if (!filters.user_forward) {
+            isForwardable = false;
+            filterReason = '用户转发消息';
+        }
+    } else if (message.forward_from_chat) {
+        // 来自“对话”的转发 (频道 或 群组)
+        const type = message.forward_from_chat.type;
+        if (type === 'channel') {
+            if (!filters.channel_forward) {
+                isForwardable = false;
+                filterReason = '频道转发消息';
+            }
+        } else if (type === 'group' || type === 'supergroup') {
+            if (!filters.group_forward) {
+                isForwardable = false;
+                filterReason = '群组转发消息';
+            }
+        }
+    }
+    // 2. 音频文件和语音消息
+    else if (message.audio || message.voice) {
+        if (!filters.audio_voice) {
+            isForwardable = false;
+            filterReason = '音频或语音消息';
+        }
+    }
+    // 3. 贴纸，emojy，gif (sticker, animation)
+    else if (message.sticker || message.animation) {
+         if (!filters.sticker_gif) {
+            isForwardable = false;
+            filterReason = '贴纸或GIF';
+        }
+    }
+    // 4. 其他媒体（Photo, Video, Document） - 使用 'media' (原 enable_image_forwarding)
+    else if (message.photo || message.video || message.document) {
+        if (!filters.media) {
+            isForwardable = false;
+            filterReason = '媒体内容（图片/视频/文件）';
+        }
+    } 
+    
+    // 5. 链接检查 (保留原逻辑，作用于任何包含链接的消息)
+    if (isForwardable && hasLinks(message)) {
+        if (!filters.link) {
+            isForwardable = false;
+            filterReason = filterReason ? `${filterReason} (并包含链接)` : '包含链接的内容';
+        }
+    }
+  
+    // 6. 纯文本检查 (保留原逻辑)
+    // 检查是否是纯文本（排除所有媒体和转发类型）
+    const isPureText = message.text && 
+                       !message.photo && !message.video && !message.document && 
+                       !message.sticker && !message.audio && !message.voice && 
+                       !message.forward_from_chat && !message.forward_from && !message.animation; 
+    
+    if (isForwardable && isPureText) {
+        if (!filters.text) {
+            isForwardable = false;
+            filterReason = '纯文本内容';
+        }
+    }
+  
+    if (!isForwardable) {
+        const filterNotification = `此消息已被过滤：${filterReason}。根据设置，此类内容不会转发给对方。`;
+        await telegramApi(env.BOT_TOKEN, "sendMessage", {
+            chat_id: chatId,
+            text: filterNotification,
+        });
+        return; 
+    }
+    
+    // --- [Keyword Auto-Reply Check] ---
+    const autoResponseRules = (await getAutoReplyRules(env)).filter(rule => rule.enabled === 1); // [⭐️ 修改] 只检查已启用的规则
+    if (autoResponseRules.length > 0 && text) { 
+        
+        for (const rule of autoResponseRules) {
+            try {
+                // 使用新结构中的 keywords 字符串构建 RegExp
+                const regex = new RegExp(rule.keywords, 'gi'); 
+                if (regex.test(text)) {
+                    await dbRuleRecordHit('auto_reply', rule.id, env).catch(e => console.error("记录规则命中失败:", e.message));
+                    const autoReplyPrefix = "此消息为自动回复\n\n";
+                    await telegramApi(env.BOT_TOKEN, "sendMessage", {
+                        chat_id: chatId,
+                        text: autoReplyPrefix + rule.response,
+                    });
+                    return; 
+                }
+            } catch(e) {
+                console.error("Invalid auto-reply regex:", rule.keywords, e);
+                // 忽略无效的正则，继续检查下一个
+            }
+        }
+    }
+    
+    return await handleRelayToTopic(message, user, env, { replay: options.replay }); // 传递 user 对象
+  }
+  
+  // --- 用户停用/屏蔽机器人 (my_chat_member) ---
+  
+  /**
+  * [新增] 处理私聊中机器人成员状态的变化。
+  * kicked: 用户屏蔽了机器人；left: 用户删除了对话；member: 用户重新启动了机器人。
+  */
+  async function handleMyChatMember(chatMember, env) {
+    const userId = chatMember.chat.id.toString();
+    const newStatus = chatMember.new_chat_member?.status;
+    const isStopped = newStatus === 'kicked' || newStatus === 'left';
+  
+    const user = await dbUserGetOrCreate(userId, env);
+    const wasStopped = user.bot_status === 'kicked' || user.bot_status === 'left';
+  
+    if (isStopped) {
+        if (user.bot_status === newStatus) return;
+        await dbUserUpdate(userId, { bot_status: newStatus, bot_status_at: chatMember.date }, env);
+        user.bot_status = newStatus;
+        user.bot_status_at = chatMember.date;
+    } else if (newStatus === 'member' && wasStopped) {
+        await dbUserUpdate(userId, { bot_status: null, bot_status_at: null }, env);
+        user.bot_status = null;
+        user.bot_status_at = null;
+    } else {
+        return;
+    }
+  
+    // 还没有建立会话话题的用户，只记录状态即可
+    if (!user.topic_id) return;
+  
+    await refreshUserInfoCards(userId, user, chatMember.from, env);
+  
+    const noticeText = isStopped
+        ? `⛔ <b>用户已${newStatus === 'kicked' ? '屏蔽' : '停用'}机器人</b>\n时间: <code>${formatTimestamp(chatMember.date)}</code>\n在用户重新启动机器人之前，回复将无法送达。`
+        : `✅ <b>用户已重新启动机器人</b>\n时间: <code>${formatTimestamp(chatMember.date)}</code>`;
+    await telegramApi(env.BOT_TOKEN, "sendMessage", {
+        chat_id: env.ADMIN_GROUP_ID,
+        message_thread_id: user.topic_id,
+        text: noticeText,
+        parse_mode: "HTML",
+    }).catch(e => console.warn("发送机器人状态提示失败:", e.message));
+  }
+  
+  // --- 表情回应同步 (message_reaction) ---
+  
+  /**
+  * [新增] 将一侧消息上的表情回应同步到另一侧的对应消息上。
+  * 机器人每条消息只能设置一个普通表情回应，这里取最新的一个；全部撤销时同步清除。
+  */
+  async function handleMessageReaction(reactionUpdate, env) {
+    const chatId = reactionUpdate.chat.id.toString();
+    const reaction = (reactionUpdate.new_reaction || [])
+        .filter(r => r.type === "emoji")
+        .slice(-1);
+  
+    let target = null;
+    if (reactionUpdate.chat.type === "private") {
+        const mapping = await dbMessageMapGetByUser(chatId, reactionUpdate.message_id, env);
+        if (!mapping) return;
+        target = { chat_id: env.ADMIN_GROUP_ID, message_id: Number(mapping.admin_message_id) };
+    } else if (chatId === env.ADMIN_GROUP_ID.toString()) {
+        // 只同步管理员/协管员的回应 (匿名管理员没有 user 字段)
+        const reactor = reactionUpdate.user;
+        if (!reactor || reactor.is_bot || !(await isAdminUser(reactor.id.toString(), env))) return;
+        const mapping = await dbMessageMapGetByAdmin(reactionUpdate.message_id, env);
+        if (!mapping) return;
+        target = { chat_id: mapping.user_chat_id, message_id: Number(mapping.user_message_id) };
+    } else {
+        return;
+    }
+  
+    try {
+        await telegramApi(env.BOT_TOKEN, "setMessageReaction", { ...target, reaction });
     } catch (e) {
-        console.error("Failed to parse authorized_admins from D1:", e);
-        return [];
+        console.warn("同步表情回应失败:", e.message);
+    }
+  }
+  
+  // --- 防刷屏 (Flood Control) ---
+  
+  /**
+  * [新增] 读取防刷屏配置
+  * flood_max_messages 为 0 时关闭防刷屏。
+  */
+  async function getFloodSettings(env) {
+    return {
+        maxMessages: parseInt(await getConfig('flood_max_messages', env, "10"), 10) || 0,
+        windowSeconds: parseInt(await getConfig('flood_window_seconds', env, "60"), 10) || 60,
+        strikeThreshold: parseInt(await getConfig('flood_strike_threshold', env, "3"), 10) || 3,
+        penalty: (await getConfig('flood_penalty', env, "mute")) === 'block' ? 'block' : 'mute',
+        penaltyMinutes: parseInt(await getConfig('flood_penalty_minutes', env, "60"), 10) || 60,
+    };
+  }
+  
+  /**
+  * [新增] 违规记录的衰减时间：超过该时间没有再次超限，违规次数清零
+  */
+  const FLOOD_STRIKE_RESET_SECONDS = 24 * 60 * 60;
+  
+  /**
+  * [新增] 检查用户是否超过发送频率限制。
+  * 超限的消息不会转发；每个窗口只提醒一次；累计违规达到阈值后自动临时静音或屏蔽。
+  * 返回 true 表示可以继续转发。
+  */
+  async function enforceFloodControl(userId, user, env) {
+    const settings = await getFloodSettings(env);
+    if (settings.maxMessages <= 0) return true;
+  
+    const now = Math.floor(Date.now() / 1000);
+    const record = await dbRateLimitGet(userId, env) || { window_start: now, message_count: 0, strikes: 0, last_strike_at: null };
+  
+    if (now - record.window_start >= settings.windowSeconds) {
+        record.window_start = now;
+        record.message_count = 0;
+    }
+    if (record.last_strike_at && now - record.last_strike_at >= FLOOD_STRIKE_RESET_SECONDS) {
+        record.strikes = 0;
+    }
+  
+    record.message_count += 1;
+    if (record.message_count <= settings.maxMessages) {
+        await dbRateLimitPut(userId, record, env);
+        return true;
+    }
+  
+    // 超限后的后续消息静默丢弃，只在本窗口第一次超限时计一次违规并提醒
+    if (record.message_count > settings.maxMessages + 1) {
+        await dbRateLimitPut(userId, record, env);
+        return false;
+    }
+  
+    record.strikes += 1;
+    record.last_strike_at = now;
+  
+    if (record.strikes >= settings.strikeThreshold) {
+        record.strikes = 0;
+        await dbRateLimitPut(userId, record, env);
+        await applyFloodPenalty(userId, user, settings, env);
+        return false;
+    }
+  
+    await dbRateLimitPut(userId, record, env);
+    await telegramApi(env.BOT_TOKEN, "sendMessage", {
+        chat_id: userId,
+        text: `⚠️ 您发送消息过快（每 ${settings.windowSeconds} 秒最多 ${settings.maxMessages} 条），本窗口内多出的消息不会转发给对方。` +
+              `\n再违规 ${settings.strikeThreshold - record.strikes} 次将被自动${settings.penalty === 'block' ? '屏蔽' : '静音'} ${settings.penaltyMinutes} 分钟。`,
+    });
+    return false;
+  }
+  
+  /**
+  * [新增] 对刷屏用户执行临时静音/屏蔽，并同步到屏蔽名单话题
+  */
+  async function applyFloodPenalty(userId, user, settings, env) {
+    const until = Math.floor(Date.now() / 1000) + settings.penaltyMinutes * 60;
+    const isBlockPenalty = settings.penalty === 'block';
+    // 管理员已手动静音/屏蔽时不再叠加自动处罚，否则处罚到期时会连同手动操作一起解除
+    const alreadyRestricted = isBlockPenalty ? user.is_blocked : user.is_muted;
+    if (alreadyRestricted && user.penalty_type !== settings.penalty) {
+        return;
+    }
+    const updateData = isBlockPenalty ? { is_blocked: true } : { is_muted: true };
+    await dbUserUpdate(userId, { ...updateData, penalty_type: settings.penalty, penalty_until: until }, env);
+  
+    const penaltyName = isBlockPenalty ? '屏蔽' : '静音';
+    await telegramApi(env.BOT_TOKEN, "sendMessage", {
+        chat_id: userId,
+        text: isBlockPenalty
+            ? `❌ 您多次发送消息过快，已被自动屏蔽 ${settings.penaltyMinutes} 分钟，期间的消息不会转发给对方。`
+            : `⚠️ 您多次发送消息过快，已被自动静音 ${settings.penaltyMinutes} 分钟。`,
+    }).catch(e => console.error("发送刷屏处罚通知失败:", e.message));
+  
+    const updatedUser = await dbUserGetOrCreate(userId, env);
+    await syncToBlockLog(userId, updatedUser, updatedUser.is_blocked, updatedUser.is_muted, env);
+  
+    if (updatedUser.topic_id) {
+        await telegramApi(env.BOT_TOKEN, "sendMessage", {
+            chat_id: env.ADMIN_GROUP_ID,
+            message_thread_id: updatedUser.topic_id,
+            text: `🌊 <b>用户刷屏，已自动${penaltyName}</b>\n到期时间: <code>${formatTimestamp(until)}</code>`,
+            parse_mode: "HTML",
+            disable_notification: true,
+        }).catch(e => console.warn("发送刷屏处罚提示失败:", e.message));
+    }
+  }
+  
+  /**
+  * [新增] 解除已到期的自动处罚，返回最新的用户数据
+  */
+  async function liftExpiredPenalty(userId, user, env) {
+    if (!user.penalty_until || user.penalty_until > Math.floor(Date.now() / 1000)) {
+        return user;
+    }
+    const updateData = user.penalty_type === 'block' ? { is_blocked: false } : { is_muted: false };
+    await dbUserUpdate(userId, { ...updateData, penalty_type: null, penalty_until: null }, env);
+  
+    const updatedUser = await dbUserGetOrCreate(userId, env);
+    await syncToBlockLog(userId, updatedUser, updatedUser.is_blocked, updatedUser.is_muted, env)
+        .catch(e => console.warn("同步解除处罚失败:", e.message));
+    return updatedUser;
+  }
+  
+  // --- 验证逻辑 (使用 D1) ---
+  
+  const DEFAULT_VERIFICATION_QUESTION = 
+      "问题：1+1=?\n\n" +
+      "提示：\n" +
+      "1. 正确答案不是“2”。\n" +
+      "2. 答案在机器人简介内，请看简介的答案进行回答。";
+  
+  /**
+   * [新增] 按钮模式下默认的干扰选项
+   */
+  const DEFAULT_VERIF_WRONG_CHOICES = "1|2|4";
+  
+  /**
+   * [新增] 验证方式及其显示名称
+   * - text: 文字作答 (默认)；button: 点击按钮选择固定题目的答案
+   * - math / emoji: 为每位用户单独生成随机题目 (算术 / 选表情)，答案不会在用户之间共享
+   */
+  const VERIFICATION_MODES = {
+    text: "⌨️ 文字作答",
+    button: "🔘 按钮选择",
+    math: "🧮 随机算术",
+    emoji: "😀 随机表情",
+  };
+  
+  /**
+   * [新增] 验证题默认有效期 (秒)
+   */
+  const DEFAULT_VERIF_CHALLENGE_TTL = "300";
+  
+  /**
+   * [新增] 表情验证题的候选表情及其名称
+   */
+  const EMOJI_CHALLENGE_POOL = [
+    ["🍎", "苹果 / apple"], ["🐶", "小狗 / dog"], ["🚗", "汽车 / car"], ["⚽", "足球 / football"],
+    ["🌙", "月亮 / moon"], ["🎸", "吉他 / guitar"], ["🍌", "香蕉 / banana"], ["🐱", "小猫 / cat"],
+    ["✈️", "飞机 / airplane"], ["🌻", "向日葵 / sunflower"], ["🍉", "西瓜 / watermelon"], ["🐟", "鱼 / fish"],
+  ];
+  
+  /**
+   * [新增] 人机验证相关的整数配置项 (非负整数，0 表示关闭对应限制)
+   */
+  const VERIFICATION_INTEGER_KEYS = ['verif_challenge_ttl', 'verif_max_attempts', 'verif_cooldown_seconds', 'verif_block_threshold', 'pending_max_messages'];
+  
+  /**
+   * [新增] 验证通过前最多暂存的消息条数默认值 (0 表示不暂存)
+   */
+  const DEFAULT_PENDING_MAX_MESSAGES = "5";
+  
+  /**
+   * [新增] 冷却时间的上限 (秒)，避免逐轮翻倍后过长
+   */
+  const VERIF_COOLDOWN_MAX_SECONDS = 24 * 60 * 60;
+  
+  /**
+   * [新增] 获取验证尝试限制设置
+   * - maxAttempts: 每连续答错多少次进入一次冷却 (0 表示不限制)
+   * - cooldownSeconds: 第一次冷却的时长，之后每轮翻倍 (0 表示不冷却)
+   * - blockThreshold: 累计答错达到该次数后自动屏蔽 (0 表示不自动屏蔽)
+   */
+  async function getVerificationLimitSettings(env) {
+    const cooldownSeconds = parseInt(await getConfig('verif_cooldown_seconds', env, "60"), 10);
+    return {
+        maxAttempts: parseInt(await getConfig('verif_max_attempts', env, "3"), 10) || 0,
+        cooldownSeconds: Number.isNaN(cooldownSeconds) ? 60 : Math.max(cooldownSeconds, 0),
+        blockThreshold: parseInt(await getConfig('verif_block_threshold', env, "10"), 10) || 0,
+    };
+  }
+  
+  /**
+   * [新增] 把秒数格式化为 "X 分 Y 秒" 形式
+   */
+  function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    if (minutes === 0) return `${rest} 秒`;
+    return rest === 0 ? `${minutes} 分钟` : `${minutes} 分 ${rest} 秒`;
+  }
+  
+  /**
+   * [新增] 用户仍在验证冷却期内时发送提示，返回 true 表示本次作答应被忽略
+   */
+  async function notifyVerificationCooldown(chatId, user, env) {
+    const remaining = (user.verif_cooldown_until || 0) - Math.floor(Date.now() / 1000);
+    if (remaining <= 0) return false;
+    await telegramApi(env.BOT_TOKEN, "sendMessage", {
+        chat_id: chatId,
+        text: `⏳ 尝试次数过多，请在 ${formatDuration(remaining)}后再试。`,
+    });
+    return true;
+  }
+  
+  /**
+   * [新增] 记录一次验证失败：累计次数，按需进入冷却或自动屏蔽。
+   * 返回 { blocked, cooldownSeconds, remainingAttempts }，remainingAttempts 为 null 表示不限制次数。
+   */
+  async function recordVerificationFailure(chatId, user, env) {
+    const settings = await getVerificationLimitSettings(env);
+    const attempts = (user.verif_attempts || 0) + 1;
+  
+    if (settings.blockThreshold > 0 && attempts >= settings.blockThreshold) {
+        await dbUserUpdate(chatId, { verif_attempts: attempts, verif_cooldown_until: null, verif_challenge_json: null, is_blocked: true }, env);
+        await telegramApi(env.BOT_TOKEN, "sendMessage", {
+            chat_id: chatId,
+            text: "❌ 验证失败次数过多，您已被自动屏蔽。",
+        }).catch(e => console.error("发送验证屏蔽通知失败:", e.message));
+  
+        const updatedUser = await dbUserGetOrCreate(chatId, env);
+        await syncToBlockLog(chatId, updatedUser, updatedUser.is_blocked, updatedUser.is_muted, env);
+        if (updatedUser.topic_id) {
+            await telegramApi(env.BOT_TOKEN, "sendMessage", {
+                chat_id: env.ADMIN_GROUP_ID,
+                message_thread_id: updatedUser.topic_id,
+                text: `🤖 <b>人机验证累计失败 ${attempts} 次，已自动屏蔽</b>`,
+                parse_mode: "HTML",
+                disable_notification: true,
+            }).catch(e => console.warn("发送验证屏蔽提示失败:", e.message));
+        }
+        return { blocked: true, cooldownSeconds: 0, remainingAttempts: 0 };
     }
+  
+    const updateData = { verif_attempts: attempts };
+    // 尝试次数和冷却时长任一为 0 时不限制
+    const limited = settings.maxAttempts > 0 && settings.cooldownSeconds > 0;
+    let cooldownSeconds = 0;
+    if (limited && attempts % settings.maxAttempts === 0) {
+        // 第 N 轮冷却时长为 基础时长 × 2^(N-1)
+        const round = attempts / settings.maxAttempts;
+        cooldownSeconds = Math.min(settings.cooldownSeconds * 2 ** (round - 1), VERIF_COOLDOWN_MAX_SECONDS);
+        updateData.verif_cooldown_until = Math.floor(Date.now() / 1000) + cooldownSeconds;
+    }
+    await dbUserUpdate(chatId, updateData, env);
+  
+    const remainingAttempts = limited ? settings.maxAttempts - (attempts % settings.maxAttempts) : null;
+    return { blocked: false, cooldownSeconds, remainingAttempts };
   }
   
   /**
-  * 检查用户是否是任意管理员 (主管理员或授权协管员)
-  */
-  async function isAdminUser(userId, env) {
-    // 1. 检查是否是主管理员 (ADMIN_IDS 环境变量)
-    if (isPrimaryAdmin(userId, env)) {
-        return true;
+   * [新增] 答错后给用户的提示文本
+   */
+  function describeVerificationFailure(result) {
+    if (result.cooldownSeconds > 0) {
+        return `⏳ 答错次数过多，请在 ${formatDuration(result.cooldownSeconds)}后再试。`;
     }
-  
-    // 2. 检查是否是授权协管员 (D1 配置)
-    const authorizedAdmins = await getAuthorizedAdmins(env);
-    return authorizedAdmins.includes(userId.toString());
+    return result.remainingAttempts !== null ? `本轮还可以尝试 ${result.remainingAttempts} 次。` : "";
   }
   
+  /**
+   * [新增] 获取当前验证方式，未知值按 'text' 处理
+   */
+  async function getVerificationMode(env) {
+    const mode = await getConfig('verif_mode', env, 'text');
+    return Object.prototype.hasOwnProperty.call(VERIFICATION_MODES, mode) ? mode : 'text';
+  }
   
-  // --- 规则管理重构区域 ---
+  /**
+   * [新增] 题目有效期 (秒)，0 表示不过期
+   */
+  async function getChallengeTtlSeconds(env) {
+    const ttl = parseInt(await getConfig('verif_challenge_ttl', env, DEFAULT_VERIF_CHALLENGE_TTL), 10);
+    return Number.isFinite(ttl) && ttl > 0 ? ttl : 0;
+  }
   
   /**
-  * 获取自动回复规则列表（从 JSON 字符串解析为数组）
-  * 结构：[{ keywords: "a|b", response: "reply", id: timestamp }, ...]
-  */
-  async function getAutoReplyRules(env) {
-    // 尝试从 D1 获取配置，默认值是空数组的 JSON 字符串
-    const jsonString = await getConfig('keyword_responses', env, '[]');
-    try {
-        const rules = JSON.parse(jsonString);
-        return Array.isArray(rules) ? rules : [];
-    } catch (e) {
-        console.error("Failed to parse keyword_responses from D1:", e);
-        return [];
+   * [新增] 从题库中随机抽取一个已启用的问题；题库为空时使用 verif_q / verif_a
+   * 返回 { id, question, answers, otherAnswers }，id 为 null 表示使用默认问题；
+   * otherAnswers 为题库中其他问题的第一个答案，按钮模式下用作额外的干扰选项。
+   */
+  async function pickVerificationQuestion(env) {
+    const pool = (await dbRuleList('question', env)).filter(rule => rule.enabled === 1);
+    if (pool.length === 0) {
+        return {
+            id: null,
+            question: await getConfig('verif_q', env, DEFAULT_VERIFICATION_QUESTION),
+            answers: await getConfig('verif_a', env, "3"),
+            otherAnswers: [],
+        };
     }
+    const picked = pool[randomInt(pool.length)];
+    await dbRuleRecordHit('question', picked.id, env).catch(e => console.error("记录题库出题次数失败:", e.message));
+    const otherAnswers = pool.filter(rule => rule.id !== picked.id).map(rule => rule.answers.split('|')[0].trim());
+    return { id: picked.id, question: picked.question, answers: picked.answers, otherAnswers };
   }
   
   /**
-  * 获取屏蔽关键词列表（从 JSON 字符串解析为数组）
-  * 结构：["keyword1|keyword2", "keyword3", ...]
-  */
-  async function getBlockKeywords(env) {
-    // 尝试从 D1 获取配置，默认值是空数组的 JSON 字符串
-    const jsonString = await getConfig('block_keywords', env, '[]');
-    try {
-        const keywords = JSON.parse(jsonString);
-        return Array.isArray(keywords) ? keywords : [];
-    } catch (e) {
-        console.error("Failed to parse block_keywords from D1:", e);
-        return [];
+   * [新增] 文字作答模式：抽取问题发送给用户，并记住该用户收到的问题
+   */
+  async function sendVerificationQuestion(chatId, env, notice = "") {
+    const picked = await pickVerificationQuestion(env);
+    await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: chatId, text: `${notice ? `${notice}\n\n` : ""}${picked.question}` });
+    await dbUserUpdate(chatId, { verif_question_id: picked.id }, env);
+  }
+  
+  async function handleStart(chatId, env) {
+      // [新增] 已屏蔽的用户不再出题；冷却期内只提示剩余时间
+      const user = await dbUserGetOrCreate(chatId, env);
+      if (user.is_blocked) {
+          return;
+      }
+      if (await notifyVerificationCooldown(chatId, user, env)) {
+          return;
+      }
+  
+      const welcomeMessage = await getConfig('welcome_msg', env, "欢迎！在使用之前，请先完成人机验证。");
+      
+      await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: chatId, text: welcomeMessage });
+      if (await getVerificationMode(env) !== 'text') {
+          // [新增] 按钮 / 随机题模式：发送带选项按钮的题目
+          await sendButtonChallenge(chatId, env);
+      } else {
+          // [新增] 文字模式：为每位用户随机抽取题库中的问题 (按钮模式在 buildConfiguredChallenge 中抽取)
+          await sendVerificationQuestion(chatId, env);
+      }
+      
+      // 更新 D1 中的用户状态
+      await dbUserUpdate(chatId, { user_state: "pending_verification" }, env);
+  }
+  
+  /**
+   * [新增] 生成随机标识 (用于识别过期的验证按钮)
+   */
+  function randomToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(4));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+  
+  /**
+   * [新增] 生成 [0, max) 范围内的随机整数
+   */
+  function randomInt(max) {
+    return crypto.getRandomValues(new Uint32Array(1))[0] % max;
+  }
+  
+  /**
+   * [新增] 打乱数组顺序 (Fisher-Yates)
+   */
+  function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = randomInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
     }
+    return result;
+  }
+  
+  /**
+   * [新增] 题库 (或默认) 题目：问题的第一个答案为正确选项，其余为干扰选项
+   * 干扰选项来自题库中其他问题的答案和配置的 verif_wrong_choices。
+   */
+  async function buildConfiguredChallenge(env) {
+    const picked = await pickVerificationQuestion(env);
+    const correct = picked.answers.split('|').map(a => a.trim()).find(a => a !== "") || "3";
+    const configuredChoices = (await getConfig('verif_wrong_choices', env, DEFAULT_VERIF_WRONG_CHOICES)).split('|');
+    const wrongChoices = shuffle(picked.otherAnswers).concat(configuredChoices)
+        .map(choice => choice.trim())
+        .filter(choice => choice !== "" && choice.toLowerCase() !== correct.toLowerCase());
+    // 最多 8 个选项，保证正确答案一定在其中
+    return { question: picked.question, question_id: picked.id, correct, choices: [correct, ...[...new Set(wrongChoices)].slice(0, 7)] };
   }
   
+  /**
+   * [新增] 随机算术题：加减乘法，干扰选项取正确答案附近的数字
+   */
+  function buildMathChallenge() {
+    let a, b, op, result;
+    switch (randomInt(3)) {
+        case 0: a = 1 + randomInt(20); b = 1 + randomInt(20); op = "+"; result = a + b; break;
+        case 1: a = 10 + randomInt(20); b = 1 + randomInt(10); op = "-"; result = a - b; break;
+        default: a = 2 + randomInt(8); b = 2 + randomInt(8); op = "×"; result = a * b; break;
+    }
+    const choices = new Set([result]);
+    while (choices.size < 4) {
+        const offset = 1 + randomInt(5);
+        const candidate = randomInt(2) === 0 ? result + offset : result - offset;
+        if (candidate >= 0) choices.add(candidate);
+    }
+    return {
+        question: `🧮 请计算：${a} ${op} ${b} = ?`,
+        correct: String(result),
+        choices: [...choices].map(String),
+    };
+  }
   
-  // --- API 客户端 ---
+  /**
+   * [新增] 随机表情题：给出名称，从 6 个表情中选出对应的一个
+   */
+  function buildEmojiChallenge() {
+    const picked = shuffle(EMOJI_CHALLENGE_POOL).slice(0, 6);
+    const [correct, name] = picked[randomInt(picked.length)];
+    return {
+        question: `😀 请选出与「${name}」对应的表情：`,
+        correct,
+        choices: picked.map(([emoji]) => emoji),
+    };
+  }
   
-  async function telegramApi(token, methodName, params = {}) {
-    const url = `https://api.telegram.org/bot${token}/${methodName}`;
-    const response = await fetch(url, {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json",
-        },
-        body: JSON.stringify(params),
-    });
+  /**
+   * [新增] 按当前验证方式生成题目，附带随机标识和过期时间
+   */
+  async function buildButtonChallenge(env) {
+    const mode = await getVerificationMode(env);
+    let built;
+    if (mode === 'math') built = buildMathChallenge();
+    else if (mode === 'emoji') built = buildEmojiChallenge();
+    else built = await buildConfiguredChallenge(env);
+  
+    const options = shuffle(built.choices);
+    const ttl = await getChallengeTtlSeconds(env);
+    return {
+        token: randomToken(),
+        mode,
+        question: built.question,
+        options,
+        correct_index: options.indexOf(built.correct),
+        question_id: built.question_id ?? null,
+        expires_at: ttl > 0 ? Date.now() + ttl * 1000 : null,
+    };
+  }
   
-    let data;
+  /**
+   * [新增] 读取用户当前的验证题 (JSON 损坏时视为没有题目)
+   */
+  function parseChallenge(user) {
     try {
-        data = await response.json();
+        return user?.verif_challenge_json ? JSON.parse(user.verif_challenge_json) : null;
     } catch (e) {
-        console.error(`Telegram API ${methodName} 返回非 JSON 响应`);
-        throw new Error(`Telegram API ${methodName} returned non-JSON response`);
-    }
-  
-    if (!data.ok) {
-        // 捕获 API 错误，用于话题不存在等场景
-        // console.error(`Telegram API error (${methodName}): ${data.description}. Params: ${JSON.stringify(params)}`);
-        throw new Error(`${methodName} failed: ${data.description || JSON.stringify(data)}`);
+        return null;
     }
+  }
   
-    return data.result;
+  function isChallengeExpired(challenge) {
+    return !!challenge.expires_at && Date.now() > challenge.expires_at;
   }
   
+  /**
+   * [新增] 发送 (或替换) 按钮验证题，并把题目保存到用户记录中
+   * messageId 不为空时直接编辑原题目消息，避免刷屏。
+   */
+  async function sendButtonChallenge(chatId, env, messageId = null, notice = "") {
+    const challenge = await buildButtonChallenge(env);
+    const keyboard = [];
+    challenge.options.forEach((option, index) => {
+        const button = { text: option, callback_data: `verify:${challenge.token}:${index}` };
+        if (index % 2 === 0) keyboard.push([button]);
+        else keyboard[keyboard.length - 1].push(button);
+    });
   
-  // --- 核心更新处理函数 ---
+    const ttlHint = challenge.expires_at ? `\n⏱️ 请在 ${Math.round((challenge.expires_at - Date.now()) / 60000) || 1} 分钟内完成，超时将自动更换题目。` : "";
+    const params = {
+        chat_id: chatId,
+        text: `${notice ? `${notice}\n\n` : ""}${challenge.question}\n\n👇 请点击下方按钮选择正确答案：${ttlHint}`,
+        reply_markup: { inline_keyboard: keyboard },
+    };
+    let sent;
+    if (messageId) {
+        sent = await telegramApi(env.BOT_TOKEN, "editMessageText", { ...params, message_id: messageId });
+    } else {
+        sent = await telegramApi(env.BOT_TOKEN, "sendMessage", params);
+    }
+    challenge.message_id = messageId || sent?.message_id || null;
+    await dbUserGetOrCreate(chatId, env); // 首次 /start 时用户记录可能还不存在
+    await dbUserUpdate(chatId, { verif_challenge_json: JSON.stringify(challenge), verif_question_id: challenge.question_id }, env);
+  }
   
-  export default {
-  async fetch(request, env, ctx) {
-      // 关键修正：在处理任何请求之前，先运行数据库迁移，确保表结构存在。
-      try {
-            await dbMigrate(env);
-      } catch (e) {
-            // 如果迁移失败，直接返回错误，防止后续 D1 调用失败
-            return new Response(`D1 Database Initialization Error: ${e.message}`, { status: 500 });
+  /**
+   * [新增] 验证通过：更新状态并通知用户
+   */
+  async function completeVerification(chatId, env) {
+      await telegramApi(env.BOT_TOKEN, "sendMessage", {
+          chat_id: chatId,
+          text: "🎉 耶！验证成功啦！可以开始聊天咯！",
+      });
+      // 更新 D1 中的用户状态 (失败次数保留，用于在资料卡中显示)
+      await dbUserUpdate(chatId, { user_state: "verified", verif_challenge_json: null, verif_cooldown_until: null, verif_question_id: null }, env);
+      // [新增] 按顺序转发验证前暂存的消息
+      await relayPendingMessages(chatId, env);
+  }
+  
+  /**
+   * [新增] 暂存用户在验证通过前发送的消息 (含媒体)，超过上限的消息不再暂存
+   */
+  async function holdPendingMessage(chatId, message, env) {
+      const maxMessages = parseInt(await getConfig('pending_max_messages', env, DEFAULT_PENDING_MAX_MESSAGES), 10) || 0;
+      if (maxMessages <= 0) {
+          await telegramApi(env.BOT_TOKEN, "sendMessage", {
+              chat_id: chatId,
+              text: "⚠️ 请先完成人机验证，验证通过前发送的消息不会转发。",
+          });
+          return;
       }
+      const count = await dbPendingMessageCount(chatId, env);
+      if (count >= maxMessages) {
+          await telegramApi(env.BOT_TOKEN, "sendMessage", {
+              chat_id: chatId,
+              text: `⚠️ 暂存的消息已达上限 (${maxMessages} 条)，这条消息不会转发，请在验证通过后重新发送。`,
+          });
+          return;
+      }
+      await dbPendingMessageAdd(chatId, message, env);
+      await telegramApi(env.BOT_TOKEN, "sendMessage", {
+          chat_id: chatId,
+          text: `📥 这条消息已暂存 (${count + 1}/${maxMessages})，完成验证后会自动转发给对方。`,
+      });
+  }
   
-      if (request.method === "POST") {
+  /**
+   * [新增] 验证通过后，按发送顺序把暂存的消息交给正常的转发流程
+   * 每条消息转发、放入重试队列或因无法复制被丢弃后才删除；话题暂时无法创建等失败时停止，剩余消息留待用户下次发消息时再转发，或由定时清理删除。
+   */
+  async function relayPendingMessages(chatId, env) {
+      const rows = await dbPendingMessageList(chatId, env);
+      for (const row of rows) {
+          // 每条消息都重新读取用户数据，第一条消息转发时可能刚创建了话题
+          const user = await dbUserGetOrCreate(chatId, env);
+          if (user.is_blocked) break;
+          let relayed;
           try {
-              const update = await request.json();
-              // 使用 ctx.waitUntil 确保异步处理不会被 Worker 提前终止
-              ctx.waitUntil(handleUpdate(update, env)); 
+              relayed = await handleVerifiedMessage(row.message, user, false, env, { replay: true });
           } catch (e) {
-              console.error("处理更新时出错:", e);
+              console.error("转发暂存消息失败:", e.message);
+              relayed = false;
           }
+          if (relayed === false) break;
+          await dbPendingMessageDelete(row.id, env);
       }
-      return new Response("OK");
-  },
-  };
-  
-  async function handleUpdate(update, env) {
-    if (update.message) {
-        if (update.message.chat.type === "private") {
-            await handlePrivateMessage(update.message, env);
-        }
-        else if (update.message.chat.id.toString() === env.ADMIN_GROUP_ID) {
-            await handleAdminReply(update.message, env);
-        }
-    } else if (update.edited_message) {
-        if (update.edited_message.chat.type === "private") {
-            await handleRelayEditedMessage(update.edited_message, env);
-        }
-        // --- 修复点：添加管理员编辑消息的路由 ---
-        else if (update.edited_message.chat.id.toString() === env.ADMIN_GROUP_ID) {
-            await handleAdminEditedReply(update.edited_message, env);
-        }
-        // --- 修复点结束 ---
-    } else if (update.callback_query) {
-        await handleCallbackQuery(update.callback_query, env);
-    } 
   }
   
-  async function handlePrivateMessage(message, env) {
-    const chatId = message.chat.id.toString();
-    const text = message.text || "";
-    const userId = chatId;
+  /**
+   * [新增] 处理验证按钮的点击 (callback_data: verify:<token>:<index>)
+   * 普通用户也会触发，因此在 handleCallbackQuery 的管理员权限检查之前路由到这里。
+   */
+  async function handleVerificationCallback(callbackQuery, env) {
+    const userId = callbackQuery.from.id.toString();
+    const message = callbackQuery.message;
+    const answer = (text, showAlert = false) => telegramApi(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: callbackQuery.id, text, show_alert: showAlert });
   
-    // 检查是否是主管理员 (只有主管理员能访问配置菜单)
-    const isPrimary = isPrimaryAdmin(userId, env);
-    // 检查是否是任意管理员 (主管理员或授权协管员)
-    const isAdmin = await isAdminUser(userId, env);
-    
-    // 1. 检查 /start 或 /help 命令
-    if (text === "/start" || text === "/help") {
-        if (isPrimary) { // 只有主管理员能访问配置菜单
-            await handleAdminConfigStart(chatId, env);
-        } else {
-            await handleStart(chatId, env);
-        }
+    if (!message || message.chat.id.toString() !== userId) {
+        await answer("");
         return;
     }
-    
-    // 从 D1 获取用户数据
-    const user = await dbUserGetOrCreate(userId, env);
-    const isBlocked = user.is_blocked;
   
-    if (isBlocked) {
-        return; 
-    }
-    
-    // 主管理员在配置编辑状态中发送的文本输入
-    if (isPrimary) {
-        const adminStateJson = await dbAdminStateGet(userId, env);
-        if (adminStateJson) {
-            await handleAdminConfigInput(userId, text, adminStateJson, env);
-            return;
-        }
-        
-        // --- 核心修复: 确保主管理员用户跳过验证 ---
-        if (user.user_state !== "verified") {
-            // 更新本地 user 对象和 D1 数据库
-            user.user_state = "verified"; 
-            await dbUserUpdate(userId, { user_state: "verified" }, env); 
-        }
-        // --- 修复结束 ---
+    const [, token, indexText] = callbackQuery.data.split(':');
+    const user = await dbUserGetOrCreate(userId, env);
+    if (user.is_blocked) {
+        await answer("");
+        return;
     }
-    
-    // --- [新增] 协管员绕过验证逻辑 ---
-    if (isAdmin && user.user_state !== "verified") {
-        user.user_state = "verified"; 
-        await dbUserUpdate(userId, { user_state: "verified" }, env); 
+    if (user.user_state === "verified") {
+        await answer("✅ 您已经通过验证，可以直接发送消息。");
+        return;
     }
-    // --- [新增] 协管员绕过验证逻辑结束 ---
-  
-    // 2. 检查用户的验证状态
-    const userState = user.user_state;
-  
-    if (userState === "pending_verification" || 
-        (userState === "new" && text && !text.startsWith('/'))) { // <-- 【这里是修复点】
-        await handleVerification(chatId, text, env);
-    } else if (userState === "verified") {
-        
-        // --- [关键词屏蔽检查] ---
-        const blockKeywords = await getBlockKeywords(env); // 获取 JSON 数组
-        const blockThreshold = parseInt(await getConfig('block_threshold', env, "5"), 10) || 5; 
-        
-        if (blockKeywords.length > 0 && text) { 
-            let currentCount = user.block_count;
-            
-            for (const keyword of blockKeywords) {
-                try {
-                    // 使用新结构中的字符串构建 RegExp
-                    const regex = new RegExp(keyword, 'gi'); 
-                    if (regex.test(text)) {
-                        currentCount += 1;
-                        
-                        // 更新 D1 中的屏蔽计数
-                        await dbUserUpdate(userId, { block_count: currentCount }, env);
-                        
-                        const blockNotification = `⚠️ 您的消息触发了屏蔽关键词过滤器 (${currentCount}/${blockThreshold}次)，此消息已被丢弃，不会转发给对方。`;
-                        
-                        if (currentCount >= blockThreshold) {
-                            // 达到阈值，自动屏蔽用户 (is_blocked = 1)
-                            await dbUserUpdate(userId, { is_blocked: true }, env);
-                            const autoBlockMessage = `❌ 您已多次触发屏蔽关键词，根据设置，您已被自动屏蔽。机器人将不再接收您的任何消息。`;
-                            
-                            await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: chatId, text: blockNotification });
-                            await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: chatId, text: autoBlockMessage });
-                            return;
-                        }
-                        
-                        await telegramApi(env.BOT_TOKEN, "sendMessage", {
-                            chat_id: chatId,
-                            text: blockNotification,
-                        });
-  
-                        return; 
-                    }
-                } catch(e) {
-                    console.error("Invalid keyword block regex:", keyword, e);
-                    // 忽略无效的正则，继续检查下一个
-                }
-            }
-        }
-  
-        // --- [转发内容过滤检查] ---
-        const filters = {
-            // 媒体类型
-            media: (await getConfig('enable_image_forwarding', env, 'true')).toLowerCase() === 'true',
-            link: (await getConfig('enable_link_forwarding', env, 'true')).toLowerCase() === 'true',
-            text: (await getConfig('enable_text_forwarding', env, 'true')).toLowerCase() === 'true',
-            audio_voice: (await getConfig('enable_audio_forwarding', env, 'true')).toLowerCase() === 'true', 
-            sticker_gif: (await getConfig('enable_sticker_forwarding', env, 'true')).toLowerCase() === 'true', 
-            
-            // [⭐️ 新增/修改] 三种细分的转发类型
-            user_forward: (await getConfig('enable_user_forwarding', env, 'true')).toLowerCase() === 'true', // 用户转发
-            group_forward: (await getConfig('enable_group_forwarding', env, 'true')).toLowerCase() === 'true', // 群组转发
-            channel_forward: (await getConfig('enable_channel_forwarding', env, 'true')).toLowerCase() === 'true', // 频道转发
-        };
-  
-        let isForwardable = true;
-        let filterReason = '';
-  
-        const hasLinks = (msg) => {
-            const entities = msg.entities || msg.caption_entities || [];
-            return entities.some(entity => entity.type === 'url' || entity.type === 'text_link');
-        };
-  
-        // 1. [⭐️ 修改逻辑] 细分转发类型检查
-        if (message.forward_from) {
-            // 来自“用户”的转发 (forward_from 存在即为用户)
-            if (!filters.user_forward) {
-                isForwardable = false;
-                filterReason = '用户转发消息';
-            }
-        } else if (message.forward_from_chat) {
-            // 来自“对话”的转发 (频道 或 群组)
-            const type = message.forward_from_chat.type;
-            if (type === 'channel') {
-                if (!filters.channel_forward) {
-                    isForwardable = false;
-                    filterReason = '频道转发消息';
-                }
-            } else if (type === 'group' || type === 'supergroup') {
-                if (!filters.group_forward) {
-                    isForwardable = false;
-                    filterReason = '群组转发消息';
-                }
-            }
-        }
-        // 2. 音频文件和语音消息
-        else if (message.audio || message.voice) {
-            if (!filters.audio_voice) {
-                isForwardable = false;
-                filterReason = '音频或语音消息';
-            }
-        }
-        // 3. 贴纸，emojy，gif (sticker, animation)
-        else if (message.sticker || message.animation) {
-             if (!filters.sticker_gif) {
-                isForwardable = false;
-                filterReason = '贴纸或GIF';
-            }
-        }
-        // 4. 其他媒体（Photo, Video, Document） - 使用 'media' (原 enable_image_forwarding)
-        else if (message.photo || message.video || message.document) {
-            if (!filters.media) {
-                isForwardable = false;
-                filterReason = '媒体内容（图片/视频/文件）';
-            }
-        } 
-        
-        // 5. 链接检查 (保留原逻辑，作用于任何包含链接的消息)
-        if (isForwardable && hasLinks(message)) {
-            if (!filters.link) {
-                isForwardable = false;
-                filterReason = filterReason ? `${filterReason} (并包含链接)` : '包含链接的内容';
-            }
-        }
   
-        // 6. 纯文本检查 (保留原逻辑)
-        // 检查是否是纯文本（排除所有媒体和转发类型）
-        const isPureText = message.text && 
-                           !message.photo && !message.video && !message.document && 
-                           !message.sticker && !message.audio && !message.voice && 
-                           !message.forward_from_chat && !message.forward_from && !message.animation; 
-        
-        if (isForwardable && isPureText) {
-            if (!filters.text) {
-                isForwardable = false;
-                filterReason = '纯文本内容';
-            }
-        }
+    const challenge = parseChallenge(user);
+    if (!challenge || challenge.token !== token) {
+        await answer("⌛ 这道题已失效，请发送 /start 重新获取。", true);
+        return;
+    }
+    if ((user.verif_cooldown_until || 0) > Math.floor(Date.now() / 1000)) {
+        const remaining = user.verif_cooldown_until - Math.floor(Date.now() / 1000);
+        await answer(`⏳ 尝试次数过多，请在 ${formatDuration(remaining)}后再试。`, true);
+        return;
+    }
+    if (isChallengeExpired(challenge)) {
+        // [新增] 超时：无论选择是否正确都更换一道新题
+        await answer("⌛ 题目已超时，已为您更换一道新题。", true);
+        await sendButtonChallenge(userId, env, message.message_id, "⌛ 上一道题已超时。");
+        return;
+    }
   
-        if (!isForwardable) {
-            const filterNotification = `此消息已被过滤：${filterReason}。根据设置，此类内容不会转发给对方。`;
-            await telegramApi(env.BOT_TOKEN, "sendMessage", {
-                chat_id: chatId,
-                text: filterNotification,
-            });
-            return; 
-        }
-        
-        // --- [Keyword Auto-Reply Check] ---
-        const autoResponseRules = await getAutoReplyRules(env); // 获取 JSON 数组
-        if (autoResponseRules.length > 0 && text) { 
-            
-            for (const rule of autoResponseRules) {
-                try {
-                    // 使用新结构中的 keywords 字符串构建 RegExp
-                    const regex = new RegExp(rule.keywords, 'gi'); 
-                    if (regex.test(text)) {
-                        const autoReplyPrefix = "此消息为自动回复\n\n";
-                        await telegramApi(env.BOT_TOKEN, "sendMessage", {
-                            chat_id: chatId,
-                            text: autoReplyPrefix + rule.response,
-                        });
-                        return; 
-                    }
-                } catch(e) {
-                    console.error("Invalid auto-reply regex:", rule.keywords, e);
-                    // 忽略无效的正则，继续检查下一个
-                }
+    if (Number(indexText) === challenge.correct_index) {
+        await answer("✅ 回答正确！");
+        await telegramApi(env.BOT_TOKEN, "editMessageText", {
+            chat_id: userId,
+            message_id: message.message_id,
+            text: `${challenge.question}\n\n✅ 已完成验证。`,
+        }).catch(e => console.warn("更新验证题目失败:", e.message));
+        await completeVerification(userId, env);
+    } else {
+        // 答错后重新出题 (随机题模式会换成全新的题目) 并更换标识，旧按钮随之失效
+        const result = await recordVerificationFailure(userId, user, env);
+        const hint = describeVerificationFailure(result);
+        if (result.blocked || result.cooldownSeconds > 0) {
+            // 屏蔽或冷却时收回按钮，冷却结束后用户发送任意消息或 /start 即可重新获取题目
+            await answer(result.blocked ? "❌ 验证失败次数过多，您已被自动屏蔽。" : hint, true);
+            await telegramApi(env.BOT_TOKEN, "editMessageText", {
+                chat_id: userId,
+                message_id: message.message_id,
+                text: `${challenge.question}\n\n${result.blocked ? "❌ 验证失败次数过多。" : hint}`,
+            }).catch(e => console.warn("更新验证题目失败:", e.message));
+            if (!result.blocked) {
+                await dbUserUpdate(userId, { verif_challenge_json: null }, env);
             }
+            return;
         }
-        
-        await handleRelayToTopic(message, user, env); // 传递 user 对象
-        
-    } else {
-        await telegramApi(env.BOT_TOKEN, "sendMessage", {
-            chat_id: chatId,
-            text: "请使用 /start 命令开始。",
-        });
+        await answer(`🥺 抱歉哦，这次没有选对呢！${hint}`, true);
+        await sendButtonChallenge(userId, env, message.message_id, `❌ 上一次的选择不正确。${hint}`);
     }
   }
   
-  // --- 验证逻辑 (使用 D1) ---
+  async function handleVerification(chatId, answer, env) {
+      // [新增] 冷却期内不接受作答
+      const user = await dbUserGetOrCreate(chatId, env);
+      if (await notifyVerificationCooldown(chatId, user, env)) {
+          return;
+      }
   
-  async function handleStart(chatId, env) {
-      const welcomeMessage = await getConfig('welcome_msg', env, "欢迎！在使用之前，请先完成人机验证。");
-      
-      const defaultVerificationQuestion = 
-          "问题：1+1=?\n\n" +
-          "提示：\n" +
-          "1. 正确答案不是“2”。\n" +
-          "2. 答案在机器人简介内，请看简介的答案进行回答。";
-          
-      const verificationQuestion = await getConfig('verif_q', env, defaultVerificationQuestion);
+      // [新增] 按钮 / 随机题模式下不接受文字作答：题目仍有效时只提示去点按钮，没有题目或已过期时才重新出题
+      if (await getVerificationMode(env) !== 'text') {
+          const challenge = parseChallenge(user);
+          if (challenge && !isChallengeExpired(challenge)) {
+              const params = { chat_id: chatId, text: "👆 请点击上方题目下方的按钮完成验证，无需输入文字。" };
+              if (challenge.message_id) {
+                  params.reply_parameters = { message_id: Number(challenge.message_id), allow_sending_without_reply: true };
+              }
+              await telegramApi(env.BOT_TOKEN, "sendMessage", params);
+              return;
+          }
+          await sendButtonChallenge(chatId, env, null, "请点击题目下方的按钮作答，无需输入文字。");
+          await dbUserUpdate(chatId, { user_state: "pending_verification" }, env);
+          return;
+      }
   
-      await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: chatId, text: welcomeMessage });
-      await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: chatId, text: verificationQuestion });
-      
-      // 更新 D1 中的用户状态
-      await dbUserUpdate(chatId, { user_state: "pending_verification" }, env);
-  }
+      // [新增] 按用户收到的问题取答案；问题已被删除，或题库非空但用户还没有收到问题时，重新出题
+      const assigned = user.verif_question_id ? await dbRuleGet('question', user.verif_question_id, env) : null;
+      if (!assigned && (user.verif_question_id || (await dbRuleList('question', env)).some(rule => rule.enabled === 1))) {
+          await sendVerificationQuestion(chatId, env, "请回答下面的验证问题：");
+          await dbUserUpdate(chatId, { user_state: "pending_verification" }, env);
+          return;
+      }
   
-  async function handleVerification(chatId, answer, env) {
       // 获取期望答案字符串，例如 "8|27|29"
-      const expectedAnswerString = await getConfig('verif_a', env, "3"); 
+      const expectedAnswerString = assigned ? assigned.answers : await getConfig('verif_a', env, "3"); 
       
       // 1. 修正后的逻辑：将期望答案字符串按 '|' 分割成数组，
       //    并对每个答案进行去空格和转小写处理。
@@ -785,20 +3475,57 @@ async function ensureBlockLogTopicExists(env) {
       const isCorrect = expectedAnswers.some(expected => trimmedAndLowercasedAnswer === expected);
   
       if (isCorrect) {
-          await telegramApi(env.BOT_TOKEN, "sendMessage", {
-              chat_id: chatId,
-              text: "🎉 耶！验证成功啦！可以开始聊天咯！",
-          });
-          // 更新 D1 中的用户状态
-          await dbUserUpdate(chatId, { user_state: "verified" }, env);
+          await completeVerification(chatId, env);
       } else {
+          // [新增] 累计失败次数，超过限制后进入冷却或自动屏蔽
+          const result = await recordVerificationFailure(chatId, user, env);
+          if (result.blocked) {
+              return;
+          }
+          const hint = describeVerificationFailure(result);
           await telegramApi(env.BOT_TOKEN, "sendMessage", {
               chat_id: chatId,
-              text: "🥺 抱歉哦，这次没有猜对呢！ 嘘！🤫 如果简介没有答案，那就在主人的心里哦，快去找主人要答案吧！",
+              text: "🥺 抱歉哦，这次没有猜对呢！ 嘘！🤫 如果简介没有答案，那就在主人的心里哦，快去找主人要答案吧！" + (hint ? `\n\n${hint}` : ""),
           });
       }
   }
   
+  /**
+   * [新增] 编辑同步模式：'edit' 直接修改另一侧的对应消息；'notice' 发送一条修改通知 (旧版行为)
+   */
+  async function getEditSyncMode(env) {
+    return (await getConfig('edit_sync_mode', env, 'edit')) === 'notice' ? 'notice' : 'edit';
+  }
+  
+  /**
+   * [新增] 把编辑后的内容原地同步到另一侧的对应消息，保留格式 (entities)。
+   * 返回 true 表示同步成功 (内容未变化也视为成功)。
+   */
+  async function editMirroredMessage(env, chatId, messageId, editedMessage) {
+    let method;
+    const params = { chat_id: chatId, message_id: Number(messageId) };
+    if (typeof editedMessage.text === "string") {
+        method = "editMessageText";
+        params.text = editedMessage.text;
+        if (editedMessage.entities) params.entities = editedMessage.entities;
+    } else if (editedMessage.photo || editedMessage.video || editedMessage.document || editedMessage.audio || editedMessage.animation || editedMessage.voice) {
+        method = "editMessageCaption";
+        params.caption = editedMessage.caption || "";
+        if (editedMessage.caption_entities) params.caption_entities = editedMessage.caption_entities;
+    } else {
+        return false;
+    }
+  
+    try {
+        await telegramApi(env.BOT_TOKEN, method, params);
+        return true;
+    } catch (e) {
+        if ((e.message || "").includes("message is not modified")) return true;
+        console.warn(`${method} 同步编辑失败，改为发送修改通知:`, e.message);
+        return false;
+    }
+  }
+  
   /**
    * [修改] 处理管理员在话题中修改消息的逻辑。
    * 现在会查询原始消息内容和时间，并以详细格式通知用户。
@@ -831,10 +3558,25 @@ async function ensureBlockLogTopicExists(env) {
     const messageId = editedMessage.message_id.toString();
     // 使用 user_id (私聊ID) + messageId (管理员群组消息ID) 作为键
     const storedMessage = await dbMessageDataGet(userId, messageId, env);
-    if (!storedMessage) return; // 找不到原始消息，无法通知
   
     const newText = editedMessage.text || editedMessage.caption || "[媒体内容]";
   
+    // [新增] 更新会话记录
+    await dbTranscriptUpdateEdit(userId, 'admin_to_user', messageId, editedMessage.text || editedMessage.caption || null, editedMessage.edit_date || editedMessage.date, env)
+        .catch(e => console.error("更新会话记录失败:", e.message));
+  
+    // [新增] 原地编辑模式：直接修改用户私聊中的对应消息
+    if (await getEditSyncMode(env) === 'edit') {
+        const mapping = await dbMessageMapGetByAdmin(messageId, env);
+        if (mapping && await editMirroredMessage(env, mapping.user_chat_id, mapping.user_message_id, editedMessage)) {
+            // 编辑记录仍然保存在 D1 中
+            await dbMessageDataPut(userId, messageId, { text: newText, date: editedMessage.edit_date || editedMessage.date }, env);
+            return;
+        }
+    }
+  
+    if (!storedMessage) return; // 找不到原始消息，无法通知
+  
     // 2. 格式化时间 (使用新增的 formatTimestamp 函数)
     // storedMessage.date 存储的是原发送时间或上次编辑后的时间
     const originalTime = formatTimestamp(storedMessage.date); 
@@ -885,6 +3627,10 @@ async function ensureBlockLogTopicExists(env) {
   请选择要管理的配置类别：
     `.trim();
   
+    // [新增] 编辑同步模式
+    const editSyncMode = await getEditSyncMode(env);
+    const editSyncText = editSyncMode === 'edit' ? "✏️ 编辑同步: 原地修改" : "✏️ 编辑同步: 发送通知";
+  
     const menuKeyboard = {
         inline_keyboard: [
             // 第一行：配置
@@ -894,10 +3640,15 @@ async function ensureBlockLogTopicExists(env) {
             [{ text: "🚫 关键词屏蔽管理", callback_data: "config:menu:keyword" }],
             // 第三行：过滤
             [{ text: "🔗 按类型过滤管理", callback_data: "config:menu:filter" }],
+            [{ text: "🌊 防刷屏设置", callback_data: "config:menu:flood" }],
+            [{ text: "🗄️ 数据保留设置", callback_data: "config:menu:retention" }],
+            [{ text: editSyncText, callback_data: `config:toggle:edit_sync_mode:${editSyncMode === 'edit' ? 'notice' : 'edit'}` }],
             // 协管员授权设置按钮
             [{ text: "🧑‍💻 协管员授权设置", callback_data: "config:menu:authorized" }], 
             // 备份群组设置按钮
             [{ text: "💾 备份群组设置", callback_data: "config:menu:backup" }], 
+            // [新增] 配置导出/导入 (迁移到新的 Worker 或数据库)
+            [{ text: "📤 导出配置", callback_data: "config:export" }, { text: "📥 导入配置", callback_data: "config:import:start" }],
             // 第四行：刷新
             [{ text: "🔄 刷新主菜单", callback_data: "config:menu" }],
         ]
@@ -938,23 +3689,50 @@ async function ensureBlockLogTopicExists(env) {
     const welcomeMsg = await getConfig('welcome_msg', env, "欢迎！...");
     const verifQ = await getConfig('verif_q', env, "问题：1+1=?...");
     const verifA = await getConfig('verif_a', env, "3");
+    // [新增] 验证方式：文字作答 / 按钮选择 / 随机算术 / 随机表情
+    const verifMode = await getVerificationMode(env);
+    const wrongChoices = await getConfig('verif_wrong_choices', env, DEFAULT_VERIF_WRONG_CHOICES);
+    const modeText = VERIFICATION_MODES[verifMode];
+    const ttl = await getChallengeTtlSeconds(env);
+    const limits = await getVerificationLimitSettings(env);
+    const questionCount = (await dbRuleList('question', env)).length;
+    const pendingMax = parseInt(await getConfig('pending_max_messages', env, DEFAULT_PENDING_MAX_MESSAGES), 10) || 0;
   
     const menuText = `
   ⚙️ <b>基础配置 (人机验证)</b>
   
   <b>当前设置:</b>
+  • 验证方式: ${modeText}
   • 欢迎消息: ${escapeHtml(welcomeMsg).substring(0, 30)}...
   • 验证问题: ${escapeHtml(verifQ).substring(0, 30)}...
   • 验证答案: <code>${escapeHtml(verifA)}</code>
+  • 干扰选项 (按钮模式): <code>${escapeHtml(wrongChoices)}</code>
+  • 题目有效期 (按钮/随机题): ${ttl > 0 ? `${ttl} 秒` : "不过期"}
+  • 尝试次数: ${limits.maxAttempts > 0 && limits.cooldownSeconds > 0 ? `每答错 ${limits.maxAttempts} 次冷却 ${limits.cooldownSeconds} 秒 (逐轮翻倍)` : "不限制"}
+  • 自动屏蔽: ${limits.blockThreshold > 0 ? `累计答错 ${limits.blockThreshold} 次` : "关闭"}
+  • 验证题库: ${questionCount > 0 ? `${questionCount} 题，随机抽取` : "未配置，使用上面的验证问题"}
+  • 验证前暂存消息: ${pendingMax > 0 ? `最多 ${pendingMax} 条，验证通过后自动转发` : "关闭"}
+  
+  <b>提示：</b>按钮模式下，验证答案 (或题库问题) 中的第一个答案作为正确选项，与干扰选项一起打乱顺序显示。随机算术 / 随机表情模式会为每位用户单独出题，答错或超时后自动换题。
   
   请选择要修改的配置项:
     `.trim();
   
     const menuKeyboard = {
         inline_keyboard: [
+            Object.entries(VERIFICATION_MODES).slice(0, 2).map(([mode, label]) => ({ text: `${mode === verifMode ? "✅ " : ""}${label}`, callback_data: `config:toggle:verif_mode:${mode}` })),
+            Object.entries(VERIFICATION_MODES).slice(2).map(([mode, label]) => ({ text: `${mode === verifMode ? "✅ " : ""}${label}`, callback_data: `config:toggle:verif_mode:${mode}` })),
             [{ text: "📝 编辑欢迎消息", callback_data: "config:edit:welcome_msg" }],
             [{ text: "❓ 编辑验证问题", callback_data: "config:edit:verif_q" }],
             [{ text: "🔑 编辑验证答案", callback_data: "config:edit:verif_a" }],
+            [{ text: "🔘 编辑干扰选项", callback_data: "config:edit:verif_wrong_choices" }],
+            [{ text: "➕ 新增题库问题", callback_data: "config:add:verif_questions" },
+             { text: `🗂️ 管理题库 (${questionCount}题)`, callback_data: "config:list:verif_questions" }],
+            [{ text: "⏱️ 编辑题目有效期", callback_data: "config:edit:verif_challenge_ttl" }],
+            [{ text: `✏️ 尝试次数 (${limits.maxAttempts})`, callback_data: "config:edit:verif_max_attempts" },
+             { text: `✏️ 冷却时长 (${limits.cooldownSeconds}秒)`, callback_data: "config:edit:verif_cooldown_seconds" }],
+            [{ text: `✏️ 自动屏蔽阈值 (${limits.blockThreshold})`, callback_data: "config:edit:verif_block_threshold" },
+             { text: `✏️ 暂存上限 (${pendingMax}条)`, callback_data: "config:edit:pending_max_messages" }],
             [{ text: "⬅️ 返回主菜单", callback_data: "config:menu" }],
         ]
     };
@@ -1058,8 +3836,8 @@ async function ensureBlockLogTopicExists(env) {
   * 关键词屏蔽子菜单 - 兼容编辑和发送新消息
   */
   async function handleAdminKeywordBlockMenu(chatId, messageId, env) {
-    const blockKeywords = await getBlockKeywords(env);
-    const keywordCount = blockKeywords.length;
+    const blockRules = await getBlockRules(env);
+    const keywordCount = blockRules.length;
     const blockThreshold = await getConfig('block_threshold', env, "5");
   
     const menuText = `
@@ -1068,29 +3846,424 @@ async function ensureBlockLogTopicExists(env) {
   当前屏蔽关键词总数：<b>${keywordCount}</b> 个。
   屏蔽次数阈值：<code>${escapeHtml(blockThreshold)}</code> 次。
   
-  请选择操作：
-    `.trim();
+  请选择操作：
+    `.trim();
+  
+    const menuKeyboard = {
+        inline_keyboard: [
+            [{ text: "➕ 新增屏蔽关键词", callback_data: "config:add:block_keywords" }],
+            [{ text: `🗑️ 管理/删除现有关键词 (${keywordCount}个)`, callback_data: "config:list:block_keywords" }],
+            [{ text: `✏️ 修改屏蔽次数阈值 (${blockThreshold}次)`, callback_data: "config:edit:block_threshold" }],
+            [{ text: "⬅️ 返回主菜单", callback_data: "config:menu" }],
+        ]
+    };
+  
+    const apiMethod = (messageId && messageId !== 0) ? "editMessageText" : "sendMessage";
+    const params = {
+        chat_id: chatId,
+        text: menuText,
+        parse_mode: "HTML",
+        reply_markup: menuKeyboard,
+    };
+    if (apiMethod === "editMessageText") {
+        params.message_id = messageId;
+    }
+    await telegramApi(env.BOT_TOKEN, apiMethod, params);
+  }
+  
+  /**
+  * [新增] 防刷屏设置菜单
+  */
+  async function handleAdminFloodConfigMenu(chatId, messageId, env) {
+    const settings = await getFloodSettings(env);
+    const penaltyText = settings.penalty === 'block' ? "🚫 屏蔽" : "🔕 静音";
+    const statusText = settings.maxMessages > 0 ? "✅ 已开启" : "❌ 已关闭 (条数为 0)";
+  
+    const menuText = `
+  🌊 <b>防刷屏设置</b>
+  
+  <b>状态:</b> ${statusText}
+  <b>频率限制:</b> 每 <code>${settings.windowSeconds}</code> 秒最多 <code>${settings.maxMessages}</code> 条
+  <b>违规阈值:</b> 超限 <code>${settings.strikeThreshold}</code> 次后自动处罚
+  <b>处罚方式:</b> ${penaltyText} <code>${settings.penaltyMinutes}</code> 分钟
+  
+  <b>注意：</b>
+  1. 超出限制的消息不会转发，用户会收到提醒。
+  2. 处罚到期后自动解除，并同步到屏蔽名单话题。
+  3. 管理员和协管员不受限制。
+  
+  请选择要修改的配置项:
+    `.trim();
+  
+    const menuKeyboard = {
+        inline_keyboard: [
+            [{ text: `✏️ 最多条数 (${settings.maxMessages})`, callback_data: "config:edit:flood_max_messages" },
+             { text: `✏️ 时间窗口 (${settings.windowSeconds}秒)`, callback_data: "config:edit:flood_window_seconds" }],
+            [{ text: `✏️ 违规阈值 (${settings.strikeThreshold}次)`, callback_data: "config:edit:flood_strike_threshold" },
+             { text: `✏️ 处罚时长 (${settings.penaltyMinutes}分钟)`, callback_data: "config:edit:flood_penalty_minutes" }],
+            [{ text: `🔁 切换处罚方式 (当前: ${penaltyText})`, callback_data: `config:toggle:flood_penalty:${settings.penalty === 'block' ? 'mute' : 'block'}` }],
+            [{ text: "⬅️ 返回主菜单", callback_data: "config:menu" }],
+        ]
+    };
+  
+    const apiMethod = (messageId && messageId !== 0) ? "editMessageText" : "sendMessage";
+    const params = {
+        chat_id: chatId,
+        text: menuText,
+        parse_mode: "HTML",
+        reply_markup: menuKeyboard,
+    };
+    if (apiMethod === "editMessageText") {
+        params.message_id = messageId;
+    }
+    await telegramApi(env.BOT_TOKEN, apiMethod, params);
+  }
+  
+  /**
+  * [新增] 数据保留设置菜单
+  */
+  async function handleAdminRetentionConfigMenu(chatId, messageId, env, purgeReport = "") {
+    const retentionDays = await getRetentionDays(env);
+    const statusText = retentionDays > 0 ? `保留最近 <code>${retentionDays}</code> 天` : "♾️ 永久保留";
+  
+    const menuText = `
+  🗄️ <b>数据保留设置</b>
+  
+  <b>当前策略:</b> ${statusText}
+  
+  <b>说明：</b>
+  1. 适用于用户消息的文本记录 (用于编辑通知) 和会话记录 (用于 /export)。
+  2. 定时任务 <code>purge_messages</code> 会分批删除超过保留期的记录，并在维护日志中报告删除条数。
+  3. 也可以点击下方按钮立即清理一次。
+  ${purgeReport ? `\n${purgeReport}` : ""}
+    `.trim();
+  
+    const optionButton = (days, label) => ({
+        text: `${retentionDays === days ? "✅ " : ""}${label}`,
+        callback_data: `config:toggle:message_retention_days:${days}`,
+    });
+  
+    const menuKeyboard = {
+        inline_keyboard: [
+            [optionButton(7, "7 天"), optionButton(30, "30 天"), optionButton(90, "90 天"), optionButton(0, "永久")],
+            [{ text: "🧹 立即清理过期记录", callback_data: "config:edit:retention_purge_now" }],
+            [{ text: "⬅️ 返回主菜单", callback_data: "config:menu" }],
+        ]
+    };
+  
+    const apiMethod = (messageId && messageId !== 0) ? "editMessageText" : "sendMessage";
+    const params = {
+        chat_id: chatId,
+        text: menuText,
+        parse_mode: "HTML",
+        reply_markup: menuKeyboard,
+    };
+    if (apiMethod === "editMessageText") {
+        params.message_id = messageId;
+    }
+    await telegramApi(env.BOT_TOKEN, apiMethod, params);
+  }
+  
+  // --- 配置导出/导入 ---
+  
+  /**
+  * [新增] 可以导出/导入的配置项
+  * 日志话题 ID、置顶消息 ID 等与具体群组绑定的记录不在其中，迁移后会自动重新创建。
+  */
+  const PORTABLE_CONFIG_KEYS = [
+    'welcome_msg', 'verif_q', 'verif_a',
+    'keyword_responses', 'block_keywords', 'block_threshold',
+    'enable_image_forwarding', 'enable_link_forwarding', 'enable_text_forwarding', 'enable_audio_forwarding',
+    'enable_sticker_forwarding', 'enable_user_forwarding', 'enable_group_forwarding', 'enable_channel_forwarding',
+    'authorized_admins', 'backup_group_id',
+    'flood_max_messages', 'flood_window_seconds', 'flood_strike_threshold', 'flood_penalty', 'flood_penalty_minutes',
+    'edit_sync_mode', 'message_retention_days', 'scheduled_jobs',
+    'verif_mode', 'verif_wrong_choices', ...VERIFICATION_INTEGER_KEYS, 'verif_questions',
+  ];
+  
+  /**
+  * [新增] 以 JSON 数组字符串保存的配置项，导出时展开为数组，方便阅读和手动修改
+  * (keyword_responses / block_keywords / verif_questions 实际保存在规则表中，导出时同样展开为数组)
+  */
+  const JSON_ARRAY_CONFIG_KEYS = ['keyword_responses', 'block_keywords', 'authorized_admins', 'verif_questions'];
+  
+  const CONFIG_EXPORT_FORMAT = "tgbot-config";
+  const CONFIG_IMPORT_MAX_BYTES = 512 * 1024;
+  
+  /**
+  * [新增] 把规则列表规范化为导出格式 (不含 ID 和命中次数，导入后重新生成)
+  * 兼容旧版导出文件：自动回复规则带有时间戳 id，屏蔽关键词是纯字符串数组。
+  */
+  function normalizeRuleList(kind, list) {
+    if (!Array.isArray(list)) throw new Error("必须是数组");
+    return list.map(item => {
+        const rule = (kind === 'block' && typeof item === 'string') ? { pattern: item } : item;
+        if (!rule || typeof rule !== 'object') throw new Error("规则格式不正确");
+        const normalized = {};
+        for (const column of RULE_TABLES[kind].columns) {
+            if (typeof rule[column] !== 'string' || rule[column].trim() === '') {
+                throw new Error(`规则缺少 ${column}`);
+            }
+            normalized[column] = rule[column];
+        }
+        normalized.enabled = rule.enabled !== false && rule.enabled !== 0;
+        return normalized;
+    });
+  }
+  
+  /**
+  * [新增] 读取一项可导出配置的当前值 (规则来自规则表，其余来自 config 表)
+  */
+  async function readPortableConfigValue(key, env) {
+    const kind = RULE_CONFIG_KEYS[key];
+    if (kind) {
+        const rules = await dbRuleList(kind, env);
+        return rules.length > 0 ? JSON.stringify(normalizeRuleList(kind, rules.map(rule => ({ ...rule, enabled: rule.enabled === 1 })))) : null;
+    }
+    return await dbConfigGet(key, env);
+  }
+  
+  /**
+  * [新增] 校验单个导入值，返回规范化后的字符串；不合法时抛出错误
+  */
+  function normalizeImportedConfigValue(key, value) {
+    if (RULE_CONFIG_KEYS[key]) {
+        const list = typeof value === 'string' ? JSON.parse(value) : value;
+        return JSON.stringify(normalizeRuleList(RULE_CONFIG_KEYS[key], list));
+    }
+    if (JSON_ARRAY_CONFIG_KEYS.includes(key)) {
+        const list = typeof value === 'string' ? JSON.parse(value) : value;
+        if (!Array.isArray(list)) throw new Error("必须是数组");
+        return JSON.stringify(list);
+    }
+    if (value === null || typeof value === 'object') {
+        throw new Error("必须是字符串、数字或布尔值");
+    }
+    const text = String(value).trim();
+    if (key.startsWith('enable_') && text !== 'true' && text !== 'false') {
+        throw new Error("必须是 true 或 false");
+    }
+    if ((key === 'block_threshold' || key === 'message_retention_days' || VERIFICATION_INTEGER_KEYS.includes(key) || (key.startsWith('flood_') && key !== 'flood_penalty')) && !/^\d+$/.test(text)) {
+        throw new Error("必须是非负整数");
+    }
+    if (key === 'flood_penalty' && text !== 'mute' && text !== 'block') {
+        throw new Error("必须是 mute 或 block");
+    }
+    if (key === 'verif_mode' && !Object.prototype.hasOwnProperty.call(VERIFICATION_MODES, text)) {
+        throw new Error(`必须是 ${Object.keys(VERIFICATION_MODES).join(' / ')} 之一`);
+    }
+    if (key === 'edit_sync_mode' && text !== 'edit' && text !== 'notice') {
+        throw new Error("必须是 edit 或 notice");
+    }
+    // 文本类配置保留原样 (欢迎语等可能有意包含首尾换行)
+    return typeof value === 'string' ? value : text;
+  }
+  
+  /**
+  * [新增] 解析并校验导入的配置文件，返回 { values, ignored }；格式错误时抛出错误
+  */
+  function parseConfigDocument(content) {
+    let documentJson;
+    try {
+        documentJson = JSON.parse(content);
+    } catch (e) {
+        throw new Error("文件不是有效的 JSON。");
+    }
+    if (!documentJson || documentJson.format !== CONFIG_EXPORT_FORMAT || typeof documentJson.config !== 'object' || documentJson.config === null) {
+        throw new Error("这不是本机器人导出的配置文件。");
+    }
+  
+    const values = {};
+    const ignored = [];
+    const errors = [];
+    for (const [key, value] of Object.entries(documentJson.config)) {
+        if (!PORTABLE_CONFIG_KEYS.includes(key)) {
+            ignored.push(key);
+            continue;
+        }
+        try {
+            values[key] = normalizeImportedConfigValue(key, value);
+        } catch (e) {
+            errors.push(`${key}: ${e.message}`);
+        }
+    }
+    if (errors.length > 0) {
+        throw new Error(`以下配置项的值不合法：\n${errors.join('\n')}`);
+    }
+    return { values, ignored };
+  }
+  
+  /**
+  * [新增] 导出配置：把 D1 中保存的配置项和规则打包为 JSON 文件发送给管理员
+  */
+  async function handleConfigExport(chatId, env) {
+    const config = {};
+    for (const key of PORTABLE_CONFIG_KEYS) {
+        const value = await readPortableConfigValue(key, env);
+        if (value === null) continue;
+        if (JSON_ARRAY_CONFIG_KEYS.includes(key)) {
+            try {
+                config[key] = JSON.parse(value);
+                continue;
+            } catch (e) {
+                // 解析失败时按原字符串导出
+            }
+        }
+        config[key] = value;
+    }
+  
+    const exportedAt = Math.floor(Date.now() / 1000);
+    const content = JSON.stringify({ format: CONFIG_EXPORT_FORMAT, version: 1, exported_at: exportedAt, config }, null, 2);
+    await telegramSendDocument(env.BOT_TOKEN, {
+        chat_id: chatId,
+        caption: `📤 已导出 ${Object.keys(config).length} 项配置。\n在新的机器人中通过「📥 导入配置」上传此文件即可恢复。`,
+    }, `bot_config_${exportedAt}.json`, content, "application/json");
+  }
+  
+  /**
+  * [新增] 生成导入预览：列出新增和修改的配置项，返回预览文本和实际需要写入的配置
+  */
+  async function buildConfigImportPreview(values, ignored, env) {
+    const preview = (value) => {
+        if (value === null) return "<i>(未设置)</i>";
+        const text = value.length > 40 ? `${value.substring(0, 40)}…` : value;
+        return `<code>${escapeHtml(text)}</code>`;
+    };
+  
+    const lines = [];
+    const changes = {};
+    let unchanged = 0;
+    for (const [key, value] of Object.entries(values)) {
+        const current = await readPortableConfigValue(key, env);
+        if (current === value || (current === null && value === '[]' && RULE_CONFIG_KEYS[key])) {
+            unchanged++;
+            continue;
+        }
+        changes[key] = value;
+        lines.push(`${current === null ? '➕' : '✏️'} <b>${escapeHtml(key)}</b>: ${preview(current)} → ${preview(value)}`);
+    }
+  
+    // 避免超出 Telegram 单条消息长度
+    const shownLines = lines.slice(0, 40);
+    if (lines.length > shownLines.length) {
+        shownLines.push(`… 另有 ${lines.length - shownLines.length} 项修改`);
+    }
+  
+    const text = `
+  📥 <b>配置导入预览</b>
+  
+  ${shownLines.join('\n')}
+  
+  <b>将修改:</b> ${lines.length} 项 · <b>保持不变:</b> ${unchanged} 项${ignored.length > 0 ? `\n<b>已忽略的未知配置项:</b> ${escapeHtml(ignored.join(', '))}` : ''}
+  文件中未包含的配置项保持不变。确认后将覆盖以上配置。
+    `.trim();
+    return { text, changes };
+  }
+  
+  /**
+  * [新增] 处理导入流程中管理员发送的消息 (上传的配置文件或 /cancel)
+  */
+  async function handleConfigImportInput(userId, text, message, adminState, env) {
+    if (text.toLowerCase() === '/cancel') {
+        await dbAdminStateDelete(userId, env);
+        await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: "❌ 已取消导入。", });
+        await handleAdminConfigStart(userId, env);
+        return;
+    }
+  
+    if (adminState.action === 'confirm_import') {
+        await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: "请点击预览消息下方的按钮确认或取消导入，或发送 /cancel 取消。", });
+        return;
+    }
+  
+    if (!message || !message.document) {
+        await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: "⚠️ 请以文件形式发送导出的 JSON 配置文件，或发送 /cancel 取消。", });
+        return;
+    }
+  
+    let parsed;
+    try {
+        const content = await telegramDownloadFile(env.BOT_TOKEN, message.document.file_id, CONFIG_IMPORT_MAX_BYTES);
+        parsed = parseConfigDocument(content);
+    } catch (e) {
+        await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: `⚠️ 无法导入：${e.message}\n\n请重新发送文件，或发送 /cancel 取消。`, });
+        return;
+    }
+  
+    const { text: previewText, changes } = await buildConfigImportPreview(parsed.values, parsed.ignored, env);
+    if (Object.keys(changes).length === 0) {
+        await dbAdminStateDelete(userId, env);
+        await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: "ℹ️ 文件中的配置与当前配置完全相同，无需导入。", });
+        await handleAdminConfigStart(userId, env);
+        return;
+    }
+  
+    await dbAdminStatePut(userId, JSON.stringify({ action: 'confirm_import', values: changes }), env);
+    await telegramApi(env.BOT_TOKEN, "sendMessage", {
+        chat_id: userId,
+        text: previewText,
+        parse_mode: "HTML",
+        reply_markup: { inline_keyboard: [[
+            { text: "✅ 确认导入", callback_data: "config:import:confirm" },
+            { text: "❌ 取消", callback_data: "config:import:cancel" },
+        ]] },
+    });
+  }
+  
+  /**
+  * [新增] 导入相关的按钮：开始导入、确认覆盖、取消
+  */
+  async function handleConfigImportCallback(chatId, messageId, step, env) {
+    if (step === 'start') {
+        await dbAdminStatePut(chatId, JSON.stringify({ action: 'awaiting_import' }), env);
+        const cancelBtn = { inline_keyboard: [[{ text: "❌ 取消导入", callback_data: "config:import:cancel" }]] };
+        await telegramApi(env.BOT_TOKEN, "editMessageText", {
+            chat_id: chatId,
+            message_id: messageId,
+            text: "📥 请发送通过「📤 导出配置」得到的 JSON 文件。\n\n上传后会先显示改动预览，确认后才会覆盖配置。发送 /cancel 或点击下方按钮取消。",
+            reply_markup: cancelBtn,
+        });
+        return;
+    }
+  
+    if (step === 'cancel') {
+        await dbAdminStateDelete(chatId, env);
+        await handleAdminConfigStart(chatId, env, messageId);
+        return;
+    }
   
-    const menuKeyboard = {
-        inline_keyboard: [
-            [{ text: "➕ 新增屏蔽关键词", callback_data: "config:add:block_keywords" }],
-            [{ text: `🗑️ 管理/删除现有关键词 (${keywordCount}个)`, callback_data: "config:list:block_keywords" }],
-            [{ text: `✏️ 修改屏蔽次数阈值 (${blockThreshold}次)`, callback_data: "config:edit:block_threshold" }],
-            [{ text: "⬅️ 返回主菜单", callback_data: "config:menu" }],
-        ]
-    };
+    // step === 'confirm'
+    const adminStateJson = await dbAdminStateGet(chatId, env);
+    let adminState = null;
+    try {
+        adminState = adminStateJson ? JSON.parse(adminStateJson) : null;
+    } catch (e) {
+        adminState = null;
+    }
+    if (!adminState || adminState.action !== 'confirm_import') {
+        await telegramApi(env.BOT_TOKEN, "editMessageText", { chat_id: chatId, message_id: messageId, text: "⚠️ 导入已失效，请重新上传配置文件。", });
+        return;
+    }
   
-    const apiMethod = (messageId && messageId !== 0) ? "editMessageText" : "sendMessage";
-    const params = {
-        chat_id: chatId,
-        text: menuText,
-        parse_mode: "HTML",
-        reply_markup: menuKeyboard,
-    };
-    if (apiMethod === "editMessageText") {
-        params.message_id = messageId;
+    const keys = Object.keys(adminState.values);
+    try {
+        await dbConfigImport(adminState.values, env);
+    } catch (e) {
+        console.error("导入配置失败:", e.message);
+        await telegramApi(env.BOT_TOKEN, "editMessageText", {
+            chat_id: chatId,
+            message_id: messageId,
+            text: `❌ 导入失败，配置未做任何修改。(${e.message})`,
+        });
+        return;
     }
-    await telegramApi(env.BOT_TOKEN, apiMethod, params);
+    await dbAdminStateDelete(chatId, env);
+    await telegramApi(env.BOT_TOKEN, "editMessageText", {
+        chat_id: chatId,
+        message_id: messageId,
+        text: `✅ 已导入 ${keys.length} 项配置。`,
+    });
+    await handleAdminConfigStart(chatId, env);
   }
   
   /**
@@ -1146,24 +4319,29 @@ async function ensureBlockLogTopicExists(env) {
         rules = await getAutoReplyRules(env);
         menuText = `
   🤖 <b>自动回复规则列表 (${rules.length}条)</b>
-  请点击右侧按钮删除对应规则。
-  因为数据库限制，点击删除后界面不会刷新实际已经执行
-  请点击返回上一级菜单后重新进入就可以看到了
+  请点击下方按钮停用/启用或删除对应规则。
   规则格式：<code>关键词表达式</code> ➡️ <code>回复内容</code>
   ---
   `.trim();
         backCallback = "config:menu:autoreply";
     } else if (key === 'block_keywords') {
-        rules = await getBlockKeywords(env);
+        rules = await getBlockRules(env);
         menuText = `
   🚫 <b>屏蔽关键词列表 (${rules.length}个)</b>
-  请点击右侧按钮删除对应关键词。
-  因为数据库限制，点击删除后界面不会刷新实际已经执行
-  请点击返回上一级菜单后重新进入就可以看到了
+  请点击下方按钮停用/启用或删除对应关键词。
   关键词格式：<code>关键词表达式</code>
   ---
   `.trim();
         backCallback = "config:menu:keyword";
+    } else if (key === 'verif_questions') {
+        rules = await dbRuleList('question', env);
+        menuText = `
+  ❓ <b>验证题库 (${rules.length}题)</b>
+  请点击下方按钮停用/启用或删除对应问题。
+  问题格式：<code>问题</code> ➡️ <code>答案1|答案2</code>
+  ---
+  `.trim();
+        backCallback = "config:menu:base";
     } else {
         return;
     }
@@ -1174,29 +4352,34 @@ async function ensureBlockLogTopicExists(env) {
     } else {
         rules.forEach((rule, index) => {
             let label = "";
-            let deleteId = "";
+            const isEnabled = rule.enabled === 1;
+            // [⭐️ 修改] 两类规则都使用表中的稳定 ID 进行操作
             if (key === 'keyword_responses') {
-                // 自动回复规则：使用 ID 进行删除
                 const keywordsSnippet = rule.keywords.substring(0, 15);
                 const responseSnippet = rule.response.substring(0, 20);
-                label = `${index + 1}. <code>${escapeHtml(keywordsSnippet)}...</code> ➡️ ${escapeHtml(responseSnippet)}...`;
-                deleteId = rule.id;
+                label = `<code>${escapeHtml(keywordsSnippet)}...</code> ➡️ ${escapeHtml(responseSnippet)}...`;
             } else if (key === 'block_keywords') {
-                // 屏蔽关键词：直接使用关键词字符串作为 ID (确保唯一)
-                const keywordSnippet = rule.substring(0, 25);
-                label = `${index + 1}. <code>${escapeHtml(keywordSnippet)}...</code>`;
-                deleteId = rule;
+                const keywordSnippet = rule.pattern.substring(0, 25);
+                label = `<code>${escapeHtml(keywordSnippet)}...</code>`;
+            } else if (key === 'verif_questions') {
+                const questionSnippet = rule.question.substring(0, 20);
+                label = `${escapeHtml(questionSnippet)}... ➡️ <code>${escapeHtml(rule.answers.substring(0, 20))}</code>`;
             }
   
-            // 添加列表信息到文本
-            menuText += `\n${label}`;
+            // 添加列表信息到文本 (状态 + 命中次数；题库为出题次数)
+            menuText += `\n${index + 1}. ${isEnabled ? '✅' : '⏸️'} ${label} (${key === 'verif_questions' ? '出题' : '命中'} ${rule.hit_count} 次)`;
   
-            // 添加删除按钮
+            // 添加停用/启用和删除按钮
             ruleButtons.push([
+                {
+                    text: `${isEnabled ? '⏸️ 停用' : '▶️ 启用'} ${index + 1}`,
+                    // config:switch:key:rule_id
+                    callback_data: `config:switch:${key}:${rule.id}`
+                },
                 { 
                     text: `🗑️ 删除 ${index + 1}`,
-                    // config:delete:key:value_to_delete
-                    callback_data: `config:delete:${key}:${deleteId}`
+                    // config:delete:key:rule_id
+                    callback_data: `config:delete:${key}:${rule.id}`
                 }
             ]);
         });
@@ -1226,24 +4409,13 @@ async function ensureBlockLogTopicExists(env) {
   * [新增] 处理关键词和自动回复的删除操作
   */
   async function handleAdminRuleDelete(chatId, messageId, env, key, deleteValue) {
-    let rules = [];
-    let typeName = "";
-  
-    if (key === 'keyword_responses') {
-        rules = await getAutoReplyRules(env);
-        typeName = "自动回复规则";
-        // 自动回复规则按 ID (时间戳) 删除
-        const newRules = rules.filter(rule => rule.id.toString() !== deleteValue.toString());
-        await dbConfigPut(key, JSON.stringify(newRules), env);
-    } else if (key === 'block_keywords') {
-        rules = await getBlockKeywords(env);
-        typeName = "屏蔽关键词";
-        // 屏蔽关键词按字符串内容删除
-        const newRules = rules.filter(keyword => keyword !== deleteValue);
-        await dbConfigPut(key, JSON.stringify(newRules), env);
-    } else {
+    const kind = RULE_CONFIG_KEYS[key];
+    if (!kind) {
         return;
     }
+    const typeName = { auto_reply: "自动回复规则", block: "屏蔽关键词", question: "验证问题" }[kind];
+    // [⭐️ 修改] 按规则 ID 删除单行，不再整体重写 JSON，多位管理员同时编辑也不会丢失修改
+    await dbRuleDelete(kind, deleteValue, env);
   
     await telegramApi(env.BOT_TOKEN, "answerCallbackQuery", {
         callback_query_id: chatId,
@@ -1255,6 +4427,21 @@ async function ensureBlockLogTopicExists(env) {
     await handleAdminRuleList(chatId, messageId, env, key);
   }
   
+  /**
+  * [新增] 停用/启用一条规则
+  */
+  async function handleAdminRuleToggle(chatId, messageId, env, key, ruleId) {
+    const kind = RULE_CONFIG_KEYS[key];
+    if (!kind) {
+        return;
+    }
+    const rule = await dbRuleGet(kind, ruleId, env);
+    if (rule) {
+        await dbRuleSetEnabled(kind, ruleId, rule.enabled !== 1, env);
+    }
+    await handleAdminRuleList(chatId, messageId, env, key);
+  }
+  
 /**
 * 按类型过滤子菜单 - [⭐️ 现代美化版]
 * 放弃强制对齐的表格，使用清爽的列表样式
@@ -1342,7 +4529,7 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
   /**
   * 处理主管理员的配置输入 (处于等待输入状态)
   */
-  async function handleAdminConfigInput(userId, text, adminStateJson, env) {
+  async function handleAdminConfigInput(userId, text, adminStateJson, env, message = null) {
     let adminState;
     try {
         adminState = JSON.parse(adminStateJson);
@@ -1353,6 +4540,12 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
         return;
     }
   
+    // [新增] 配置导入流程 (等待上传文件 / 等待确认)
+    if (adminState.action === 'awaiting_import' || adminState.action === 'confirm_import') {
+        await handleConfigImportInput(userId, text, message, adminState, env);
+        return;
+    }
+  
     if (adminState.action === 'awaiting_input') {
         
         let successMsg = "";
@@ -1364,11 +4557,13 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
             let cancelBack = "config:menu"; 
             if (adminState.key === 'block_keywords_add') { cancelBack = "config:menu:keyword"; }
             else if (adminState.key === 'keyword_responses_add') { cancelBack = "config:menu:autoreply"; }
+            else if (adminState.key === 'verif_questions_add') { cancelBack = "config:menu:base"; }
             
             await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: "❌ 已取消输入。", });
             // 自动跳转到取消前的菜单
             if (cancelBack === 'config:menu:keyword') { await handleAdminKeywordBlockMenu(userId, 0, env); }
             else if (cancelBack === 'config:menu:autoreply') { await handleAdminAutoReplyMenu(userId, 0, env); }
+            else if (cancelBack === 'config:menu:base') { await handleAdminBaseConfigMenu(userId, 0, env); }
             else { await handleAdminConfigStart(userId, env); }
             return;
         }
@@ -1376,6 +4571,13 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
         // --- 文本值处理 ---
         if (adminState.key === 'verif_a' || adminState.key === 'block_threshold') {
             finalValue = text.trim(); // 阈值和答案仅移除首尾空格
+        } else if (adminState.key.startsWith('flood_') || VERIFICATION_INTEGER_KEYS.includes(adminState.key)) {
+            // [新增] 防刷屏数值与人机验证的数值设置必须是非负整数
+            finalValue = text.trim();
+            if (!/^\d+$/.test(finalValue)) {
+                await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: "⚠️ 请输入非负整数，请重新发送。", });
+                return;
+            }
         } else if (adminState.key === 'backup_group_id') {
             finalValue = text.trim(); // 备份群组 ID 仅移除首尾空格
         } else if (adminState.key === 'authorized_admins') {
@@ -1386,11 +4588,10 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
   
         // --- 新增规则逻辑 --- 
         if (adminState.key === 'block_keywords_add') {
-            const blockKeywords = await getBlockKeywords(env);
+            const blockRules = await getBlockRules(env);
             const newKeyword = finalValue.trim();
-            if (newKeyword && !blockKeywords.includes(newKeyword)) {
-                blockKeywords.push(newKeyword);
-                await dbConfigPut('block_keywords', JSON.stringify(blockKeywords), env);
+            if (newKeyword && !blockRules.some(rule => rule.pattern === newKeyword)) {
+                await dbRuleAdd('block', { pattern: newKeyword }, env);
                 successMsg = `✅ 屏蔽关键词 <code>${escapeHtml(newKeyword)}</code> 已添加。`;
             } else {
                 successMsg = `⚠️ 屏蔽关键词未添加，内容为空或已存在。`;
@@ -1401,17 +4602,14 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
             await handleAdminKeywordBlockMenu(userId, 0, env);
             return;
         } else if (adminState.key === 'keyword_responses_add') {
-            const rules = await getAutoReplyRules(env);
             // 格式: 关键词===回复内容
             const parts = finalValue.split('===');
             if (parts.length === 2 && parts[0].trim() && parts[1].trim()) {
                 const newRule = { 
                     keywords: parts[0].trim(), 
                     response: parts[1].trim(), 
-                    id: Date.now(), // 使用时间戳作为唯一ID 
                 };
-                rules.push(newRule);
-                await dbConfigPut('keyword_responses', JSON.stringify(rules), env);
+                await dbRuleAdd('auto_reply', newRule, env); // [⭐️ 修改] 单独插入一行，ID 由数据库生成
                 successMsg = `✅ 自动回复规则已添加。关键词: <code>${escapeHtml(newRule.keywords)}</code>`;
             } else {
                 successMsg = `⚠️ 自动回复规则未添加。请确保格式正确：<code>关键词表达式===回复内容</code>`;
@@ -1421,6 +4619,24 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
             await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: successMsg, parse_mode: "HTML" });
             await handleAdminAutoReplyMenu(userId, 0, env);
             return;
+        } else if (adminState.key === 'verif_questions_add') {
+            // [新增] 格式: 问题===答案1|答案2
+            const parts = finalValue.split('===');
+            if (parts.length === 2 && parts[0].trim() && parts[1].split('|').some(a => a.trim())) {
+                const newQuestion = {
+                    question: parts[0].trim(),
+                    answers: parts[1].split('|').map(a => a.trim()).filter(a => a !== "").join('|'),
+                };
+                await dbRuleAdd('question', newQuestion, env);
+                successMsg = `✅ 验证问题已添加。答案: <code>${escapeHtml(newQuestion.answers)}</code>`;
+            } else {
+                successMsg = `⚠️ 验证问题未添加。请确保格式正确：<code>问题===答案1|答案2</code>`;
+            }
+            // 清除状态
+            await dbAdminStateDelete(userId, env);
+            await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: successMsg, parse_mode: "HTML" });
+            await handleAdminBaseConfigMenu(userId, 0, env);
+            return;
         }
         
         // --- 一般配置项处理 ---
@@ -1438,7 +4654,7 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
   
         // 自动跳转到对应的子菜单
         let nextMenuAction = '';
-        if (adminState.key === 'welcome_msg' || adminState.key === 'verif_q' || adminState.key === 'verif_a') {
+        if (adminState.key === 'welcome_msg' || adminState.key === 'verif_q' || adminState.key === 'verif_a' || adminState.key === 'verif_wrong_choices' || VERIFICATION_INTEGER_KEYS.includes(adminState.key)) {
             nextMenuAction = 'config:menu:base';
         } else if (adminState.key === 'block_threshold') {
             nextMenuAction = 'config:menu:keyword';
@@ -1446,6 +4662,8 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
             nextMenuAction = 'config:menu:backup'; // 备份群组 ID 菜单跳转
         } else if (adminState.key === 'authorized_admins') {
             nextMenuAction = 'config:menu:authorized'; // [新增] 协管员授权列表菜单跳转
+        } else if (adminState.key.startsWith('flood_')) {
+            nextMenuAction = 'config:menu:flood'; // [新增] 防刷屏设置菜单跳转
         }
   
         // 发送一个新的菜单消息，实现自动跳转。
@@ -1459,6 +4677,8 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
             await handleAdminBackupConfigMenu(userId, 0, env);
         } else if (nextMenuAction === 'config:menu:authorized') {
             await handleAdminAuthorizedConfigMenu(userId, 0, env);
+        } else if (nextMenuAction === 'config:menu:flood') {
+            await handleAdminFloodConfigMenu(userId, 0, env);
         } else {
             await handleAdminConfigStart(userId, env); // 返回主菜单
         }
@@ -1470,7 +4690,12 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
     }
   }
   
-  async function handleRelayToTopic(message, user, env) { 
+  /**
+  * 把用户消息转发到其话题。已转发 (含已放入重试队列、此前已转发过) 返回 true，转发失败返回 false。
+  * options.replay 为 true 表示补发暂存消息：复制失败时不重建话题、不向用户致歉，
+  * 无法重试的失败 (例如消息已被用户删除) 直接丢弃并返回 true。
+  */
+  async function handleRelayToTopic(message, user, env, options = {}) { 
     const { from: userDetails, date } = message;
     const { userId, topicName, infoCard } = getUserInfo(userDetails, date);
     let topicId = user.topic_id;
@@ -1493,7 +4718,7 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
             const sentMsg = await telegramApi(env.BOT_TOKEN, "sendMessage", {
                 chat_id: env.ADMIN_GROUP_ID,
                 message_thread_id: newTopicId,
-                text: infoCard,
+                text: buildInfoCardText(infoCard, user),
                 parse_mode: "HTML",
                 reply_markup: cardMarkup,
             });
@@ -1514,7 +4739,7 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
                     const jumpUrl = `https://t.me/c/${cleanGroupId}/${newTopicId}`;
                     const logMarkup = JSON.parse(JSON.stringify(cardMarkup));
                     logMarkup.inline_keyboard.push([{ text: "💬 跳转到会话窗口", url: jumpUrl }]);
-                    const logText = `<b>#新用户连接</b>\n话题ID: <code>${newTopicId}</code>\n\n${infoCard}`;
+                    const logText = buildProfileLogText(newTopicId, buildInfoCardText(infoCard, user));
                     
                     // 尝试发送
                     const sendParams = { chat_id: env.ADMIN_GROUP_ID, message_thread_id: logTopicId, text: logText, parse_mode: "HTML", reply_markup: logMarkup };
@@ -1526,7 +4751,7 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
                         // 简单的错误重试逻辑
                         const errStr = sendErr.message || sendErr.toString();
                         if (errStr.includes("thread not found") || errStr.includes("TOPIC_DELETED")) {
-                                await env.TG_BOT_DB.prepare("DELETE FROM config WHERE key = ?").bind('user_profile_log_topic_id').run();
+                                await dbConfigDelete('user_profile_log_topic_id', env);
                                 logTopicId = await ensureLogTopicExists(env);
                                 if (logTopicId) {
                                     sendParams.message_thread_id = logTopicId;
@@ -1549,132 +4774,516 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
         }
     };
   
-    const tryCopyToTopic = async (targetTopicId) => {
-        const copyResult = await telegramApi(env.BOT_TOKEN, "copyMessage", {
+    // [新增] 消息级去重：同一条用户消息只转发一次
+    const relayMessageId = message.message_id.toString();
+    const isFirstRelay = await dbRelayClaim(userId, relayMessageId, env);
+    if (!isFirstRelay) {
+        console.warn(`消息 ${userId}:${relayMessageId} 已转发过，跳过。`);
+        return true;
+    }
+  
+    // [新增] 用户回复了之前的某条消息：找到它在话题中的对应消息，保留引用关系
+    const replyMapping = message.reply_to_message
+        ? await dbMessageMapGetByUser(userId, message.reply_to_message.message_id, env)
+        : null;
+  
+    const buildCopyParams = (targetTopicId) => {
+        const params = {
             chat_id: env.ADMIN_GROUP_ID,
             message_thread_id: targetTopicId,
             from_chat_id: userId,
             message_id: message.message_id,
             // [⭐️ 改动] 如果被屏蔽或被静音，则静默发送
             disable_notification: isBlocked || isMuted, 
-        });
+        };
+        // 话题重建后旧消息不在新话题中，不再引用
+        if (replyMapping && replyMapping.topic_id === targetTopicId.toString()) {
+            params.reply_parameters = { message_id: Number(replyMapping.admin_message_id), allow_sending_without_reply: true };
+        }
+        return params;
+    };
+  
+    const tryCopyToTopic = async (targetTopicId) => {
+        const copyResult = await telegramApi(env.BOT_TOKEN, "copyMessage", buildCopyParams(targetTopicId));
         return copyResult.message_id.toString();
     };
   
-    if (!topicId) {
-        try {
-            topicId = await createTopicForUser();
-        } catch (e) {
-            await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: "抱歉，无法创建客服话题（请稍后再试）。", });
+    const storeMessageData = async () => {
+        if (message.text || message.caption) {
+            const messageData = { text: message.text || message.caption || '', date: message.date };
+            await dbMessageDataPut(userId, message.message_id.toString(), messageData, env); 
+        }
+    };
+  
+    if (!topicId) {
+        try {
+            topicId = await createTopicForUser();
+        } catch (e) {
+            await dbRelayRelease(userId, relayMessageId, env);
+            if (!options.replay) {
+                await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: "抱歉，无法创建客服话题（请稍后再试）。", });
+            }
+            return false;
+        }
+    }
+  
+    try {
+        const adminMessageId = await tryCopyToTopic(topicId);
+        await storeMessageData();
+        await recordTranscript(env, message, { user_id: userId, direction: "user_to_admin", user_message_id: relayMessageId, admin_message_id: adminMessageId });
+        // [新增] 记录私聊消息与话题副本的对应关系 (用于表情回应同步)
+        await dbMessageMapPut({
+            user_chat_id: userId,
+            user_message_id: relayMessageId,
+            admin_message_id: adminMessageId,
+            topic_id: topicId,
+            direction: "user_to_admin",
+        }, env).catch(e => console.error("记录消息对应关系失败:", e.message));
+    } catch (e) {
+        if (isRetryableTelegramError(e)) {
+            // [新增] 限流或 Telegram 临时故障：放入重试队列，而不是误判为话题已被删除
+            await enqueueOutbound(env, "copyMessage", buildCopyParams(topicId), {
+                type: "relay",
+                user_id: userId,
+                user_message_id: relayMessageId,
+                topic_id: topicId,
+                transcript: buildTranscriptEntry(message, { user_id: userId, direction: "user_to_admin", user_message_id: relayMessageId }),
+            }, e);
+            await storeMessageData();
+        } else if (options.replay) {
+            // [新增] 补发的暂存消息无法复制 (多为用户已删除该消息)：丢弃，不把话题误判为已删除
+            console.warn(`暂存消息 ${userId}:${relayMessageId} 无法复制，已丢弃:`, e?.message || e);
+            await dbRelayRelease(userId, relayMessageId, env);
+            return true;
+        } else {
+            try {
+                await dbUserUpdate(userId, { topic_id: null }, env); 
+                const newTopicId = await createTopicForUser();
+                try {
+                    const retryAdminMessageId = await tryCopyToTopic(newTopicId);
+                    await storeMessageData();
+                    await recordTranscript(env, message, { user_id: userId, direction: "user_to_admin", user_message_id: relayMessageId, admin_message_id: retryAdminMessageId });
+                    await dbMessageMapPut({
+                        user_chat_id: userId,
+                        user_message_id: relayMessageId,
+                        admin_message_id: retryAdminMessageId,
+                        topic_id: newTopicId,
+                        direction: "user_to_admin",
+                    }, env).catch(mapErr => console.error("记录消息对应关系失败:", mapErr.message));
+                } catch (e2) {
+                    await dbRelayRelease(userId, relayMessageId, env);
+                    await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: "抱歉，消息转发失败（请稍后再试或联系管理员）。", });
+                    return false;
+                }
+            } catch (createErr) {
+                await dbRelayRelease(userId, relayMessageId, env);
+                await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: "抱歉，无法创建新的客服话题（请稍后再试）。", });
+                return false;
+            }
+        }
+    }
+  
+    // --- 备份逻辑保持原样 ---
+    const backupGroupId = await getConfig('backup_group_id', env, "");
+    if (backupGroupId) {
+        const userInfo = getUserInfo(message.from, user.date);
+        const fromUserHeader = ` 
+  <b>--- 备份消息 ---</b>
+  👤 <b>来自用户:</b> <a href="tg://user?id=${userInfo.userId}">${userInfo.name || '无昵称'}</a> • ID: <code>${userInfo.userId}</code> • 用户名: ${userInfo.username} 
+  ------------------
+  `.trim() + '\n\n';
+        const backupParams = { chat_id: backupGroupId, disable_notification: true, parse_mode: "HTML", };
+        try {
+            if (message.text) {
+                const combinedText = fromUserHeader + message.text;
+                await telegramApi(env.BOT_TOKEN, "sendMessage", { ...backupParams, text: combinedText, });
+            } else if (message.caption || message.photo || message.video || message.document || message.audio || message.voice || message.sticker || message.animation) {
+               await telegramApi(env.BOT_TOKEN, "sendMessage", { ...backupParams, text: fromUserHeader.trim(), parse_mode: "HTML", });
+               await telegramApi(env.BOT_TOKEN, "copyMessage", { chat_id: backupGroupId, from_chat_id: userId, message_id: message.message_id, });
+            }
+        } catch (e) {
+            console.error("消息备份转发失败:", e?.message || e);
+        }
+    }
+    return true;
+}
+  
+  /**
+  * 处理用户在私聊中修改消息的逻辑。
+  */
+  async function handleRelayEditedMessage(editedMessage, env) {
+    const { from: user } = editedMessage;
+    const userId = user.id.toString();
+  
+    // 获取用户数据
+    const userData = await dbUserGetOrCreate(userId, env);
+    const topicId = userData.topic_id;
+  
+    if (!topicId) {
+        return;
+    }
+  
+    // [新增] 更新会话记录
+    await dbTranscriptUpdateEdit(userId, 'user_to_admin', editedMessage.message_id, editedMessage.text || editedMessage.caption || null, editedMessage.edit_date || editedMessage.date, env)
+        .catch(e => console.error("更新会话记录失败:", e.message));
+  
+    // [新增] 原地编辑模式：直接修改话题中的消息副本
+    if (await getEditSyncMode(env) === 'edit') {
+        const mapping = await dbMessageMapGetByUser(userId, editedMessage.message_id, env);
+        if (mapping && await editMirroredMessage(env, env.ADMIN_GROUP_ID, mapping.admin_message_id, editedMessage)) {
+            // 编辑记录仍然保存在 D1 中
+            await dbMessageDataPut(userId, editedMessage.message_id.toString(), {
+                text: editedMessage.text || editedMessage.caption || '',
+                date: editedMessage.date
+            }, env);
+            return;
+        }
+    }
+  
+    // 从 D1 的 messages 表获取原始消息数据
+    const storedData = await dbMessageDataGet(userId, editedMessage.message_id.toString(), env);
+    let originalText = "[原始内容无法获取/非文本内容]";
+    let originalDate = "[发送时间无法获取]";
+    
+    if (storedData) {
+        originalText = storedData.text || originalText;
+        originalDate = formatTimestamp(storedData.date); 
+        
+        // 更新 D1，将新内容存储为该消息的最新“原始”内容
+        const updatedData = { 
+            text: editedMessage.text || editedMessage.caption || '', 
+            date: editedMessage.date // 存储原发送时间
+        };
+        await dbMessageDataPut(userId, editedMessage.message_id.toString(), updatedData, env);
+    }
+    
+    const newContent = editedMessage.text || editedMessage.caption || "[非文本/媒体说明内容]";
+  
+    const notificationText = `
+  ⚠️ <b>用户消息已修改</b>
+  <b>原消息发送时间:</b> <code>${originalDate}</code>
+  <b>原始信息:</b> <code>${originalText}</code>
+  <b>修改后的新内容:</b>
+  ${escapeHtml(newContent)}
+    `.trim();
+  
+    try {
+        await telegramApi(env.BOT_TOKEN, "sendMessage", {
+            chat_id: env.ADMIN_GROUP_ID,
+            text: notificationText,
+            message_thread_id: topicId,
+            parse_mode: "HTML",
+        });
+    } catch (e) {
+        console.error("handleRelayEditedMessage failed:", e?.message || e);
+    }
+  }
+  
+  
+  /**
+  * [新增] 根据管理员消息的类型，构造发给用户的 API 请求 { method, params }
+  */
+  function buildAdminReplyRequest(message, userId, replyToMessageId = null) {
+    const request = buildAdminReplyPayload(message, userId);
+    // [新增] 保留管理员对某条用户消息的引用
+    if (replyToMessageId) {
+        request.params.reply_parameters = { message_id: Number(replyToMessageId), allow_sending_without_reply: true };
+    }
+    return request;
+  }
+  
+  /**
+  * [新增] buildAdminReplyRequest 的内容部分：按消息类型选择发送方法
+  */
+  function buildAdminReplyPayload(message, userId) {
+    if (message.text) {
+        return { method: "sendMessage", params: { chat_id: userId, text: message.text } };
+    } else if (message.photo) {
+        // 发送最高分辨率的图片
+        return { method: "sendPhoto", params: { chat_id: userId, photo: message.photo[message.photo.length - 1].file_id, caption: message.caption || "" } };
+    } else if (message.video) {
+        return { method: "sendVideo", params: { chat_id: userId, video: message.video.file_id, caption: message.caption || "" } };
+    } else if (message.audio) {
+        return { method: "sendAudio", params: { chat_id: userId, audio: message.audio.file_id, caption: message.caption || "" } };
+    } else if (message.voice) {
+        return { method: "sendVoice", params: { chat_id: userId, voice: message.voice.file_id, caption: message.caption || "" } };
+    } else if (message.sticker) {
+        return { method: "sendSticker", params: { chat_id: userId, sticker: message.sticker.file_id } };
+    } else if (message.animation) {
+        return { method: "sendAnimation", params: { chat_id: userId, animation: message.animation.file_id, caption: message.caption || "" } };
+    } else if (message.document) {
+        // [⭐️ 修复] 文件/文档 (txt, yaml, pdf, zip等)
+        return { method: "sendDocument", params: { chat_id: userId, document: message.document.file_id, caption: message.caption || "" } };
+    }
+    return { method: "sendMessage", params: { chat_id: userId, text: "管理员发送了机器人无法直接转发的内容（例如投票或某些特殊媒体）。" } };
+  }
+  
+  /**
+  * [新增] 提取消息的内容类型、文本和文件 ID，用于会话记录
+  */
+  function getMessageContent(message) {
+    const text = message.text || message.caption || null;
+    if (message.text) return { content_type: "text", text, file_id: null };
+    if (message.photo) return { content_type: "photo", text, file_id: message.photo[message.photo.length - 1].file_id };
+    for (const type of ["video", "document", "audio", "voice", "sticker", "animation", "video_note"]) {
+        if (message[type]) return { content_type: type, text, file_id: message[type].file_id };
+    }
+    return { content_type: "other", text, file_id: null };
+  }
+  
+  /**
+  * [新增] 记录一条转发的消息到会话记录 (失败不影响转发)
+  */
+  async function recordTranscript(env, message, entry) {
+    try {
+        await dbTranscriptPut(buildTranscriptEntry(message, entry), env);
+    } catch (e) {
+        console.error("记录会话失败:", e.message);
+    }
+  }
+  
+  /**
+  * [新增] 生成会话记录 (消息内容 + 方向/ID 等信息)
+  * 进入重试队列的消息会把它保存在队列上下文中，等真正送达后再写入。
+  */
+  function buildTranscriptEntry(message, entry) {
+    return { ...entry, ...getMessageContent(message), created_at: message.date };
+  }
+  
+  /**
+  * [新增] 把会话记录渲染为独立的 HTML 页面
+  */
+  function renderTranscriptHtml(userId, userName, records) {
+    const rows = records.map(record => {
+        const isUser = record.direction === 'user_to_admin';
+        const sender = isUser ? escapeHtml(userName) : `管理员 ${escapeHtml(record.admin_id || '')}`;
+        const body = record.text ? escapeHtml(record.text).replace(/\n/g, '<br>') : '';
+        const media = record.content_type !== 'text' ? `<div class="media">[${escapeHtml(record.content_type)}]${record.file_id ? ` <code>${escapeHtml(record.file_id)}</code>` : ''}</div>` : '';
+        const edited = record.edited_at ? ` · 已编辑 ${formatTimestamp(record.edited_at)}` : '';
+        return `<div class="msg ${isUser ? 'user' : 'admin'}"><div class="meta">${sender} · ${formatTimestamp(record.created_at)}${edited}</div>${media}<div class="text">${body}</div></div>`;
+    }).join('\n');
+  
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>会话记录 ${escapeHtml(userName)} (${escapeHtml(userId)})</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", sans-serif; background: #f4f4f5; max-width: 760px; margin: 0 auto; padding: 16px; }
+.msg { margin: 8px 0; padding: 8px 12px; border-radius: 8px; max-width: 80%; word-wrap: break-word; }
+.user { background: #fff; }
+.admin { background: #dcf8c6; margin-left: auto; }
+.meta { font-size: 12px; color: #888; margin-bottom: 4px; }
+.media { font-size: 12px; color: #555; }
+</style>
+</head>
+<body>
+<h2>会话记录：${escapeHtml(userName)} (${escapeHtml(userId)})</h2>
+<p>共 ${records.length} 条消息，导出时间 ${formatTimestamp(Math.floor(Date.now() / 1000))}</p>
+${rows}
+</body>
+</html>
+`;
+  }
+  
+  /**
+  * [新增] /export：导出该话题用户的完整会话记录，以 HTML 和 JSON 文件上传到话题
+  */
+  async function handleExportCommand(message, userId, topicId, env) {
+    const records = await dbTranscriptList(userId, env);
+    if (records.length === 0) {
+        await telegramApi(env.BOT_TOKEN, "sendMessage", {
+            chat_id: env.ADMIN_GROUP_ID,
+            message_thread_id: topicId,
+            text: "ℹ️ 该用户还没有会话记录。",
+            reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true },
+        });
+        return;
+    }
+  
+    const user = await dbUserGetOrCreate(userId, env);
+    const userName = user.user_info?.name || userId;
+    const exportedAt = Math.floor(Date.now() / 1000);
+    const jsonDocument = JSON.stringify({
+        user_id: userId,
+        user_info: user.user_info,
+        exported_at: exportedAt,
+        message_count: records.length,
+        messages: records.map(record => ({
+            direction: record.direction,
+            admin_id: record.admin_id,
+            content_type: record.content_type,
+            text: record.text,
+            file_id: record.file_id,
+            user_message_id: record.user_message_id,
+            admin_message_id: record.admin_message_id,
+            created_at: record.created_at,
+            edited_at: record.edited_at,
+        })),
+    }, null, 2);
+  
+    const baseParams = { chat_id: env.ADMIN_GROUP_ID, message_thread_id: topicId };
+    const fileBase = `transcript_${userId}_${exportedAt}`;
+    try {
+        await telegramSendDocument(env.BOT_TOKEN, {
+            ...baseParams,
+            caption: `📄 会话记录导出 (${records.length} 条)`,
+            reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true },
+        }, `${fileBase}.html`, renderTranscriptHtml(userId, userName, records), "text/html");
+        await telegramSendDocument(env.BOT_TOKEN, baseParams, `${fileBase}.json`, jsonDocument, "application/json");
+    } catch (e) {
+        console.error("导出会话记录失败:", e.message);
+        await telegramApi(env.BOT_TOKEN, "sendMessage", { ...baseParams, text: `❌ 导出失败: ${e.message}` });
+    }
+  }
+  
+  /**
+  * [新增] 解析话题内的命令名，兼容 /cmd@botname 的写法；不是命令时返回 null
+  */
+  function parseTopicCommand(text) {
+    if (!text || !text.startsWith('/')) return null;
+    const [head, ...args] = text.trim().split(/\s+/);
+    return { name: head.substring(1).split('@')[0].toLowerCase(), args };
+  }
+  
+  /**
+  * [新增] 处理管理员在用户话题中发送的命令，返回 true 表示已处理
+  */
+  async function handleAdminTopicCommand(message, userId, topicId, env) {
+    const command = parseTopicCommand(message.text);
+    if (!command) return false;
+  
+    if (command.name === 'trace') {
+        await handleTraceCommand(message, topicId, env);
+        return true;
+    }
+    if (command.name === 'del') {
+        await handleDeleteCommand(message, command.args, topicId, env);
+        return true;
+    }
+    if (command.name === 'export') {
+        await handleExportCommand(message, userId, topicId, env);
+        return true;
+    }
+    return false;
+  }
+  
+  /**
+  * [新增] 一次最多批量撤回的条数
+  */
+  const RETRACT_BATCH_LIMIT = 50;
+  
+  /**
+  * [新增] /del：撤回管理员发给用户的回复 (删除用户私聊中的对应消息)
+  * 回复自己的某条回复发送 /del 撤回该条；发送 /del N 撤回自己在该话题中最近 N 条回复。
+  */
+  async function handleDeleteCommand(message, args, topicId, env) {
+    const reply = (text) => telegramApi(env.BOT_TOKEN, "sendMessage", {
+        chat_id: env.ADMIN_GROUP_ID,
+        message_thread_id: topicId,
+        text,
+        parse_mode: "HTML",
+        reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true },
+    });
+  
+    const adminId = message.from.id.toString();
+    let mappings = [];
+    const target = message.reply_to_message;
+    if (args.length > 0) {
+        const count = parseInt(args[0], 10);
+        if (!count || count < 1) {
+            await reply("⚠️ 用法：回复一条回复发送 <code>/del</code>，或发送 <code>/del N</code> 撤回自己最近 N 条回复。");
             return;
         }
-    }
-  
-    try {
-        const adminMessageId = await tryCopyToTopic(topicId);
-        if (message.text || message.caption) {
-            const messageData = { text: message.text || message.caption || '', date: message.date };
-            await dbMessageDataPut(userId, message.message_id.toString(), messageData, env); 
+        mappings = await dbMessageMapListRecentReplies(topicId, adminId, Math.min(count, RETRACT_BATCH_LIMIT), env);
+    } else if (target && target.message_id.toString() !== topicId) {
+        const mapping = await dbMessageMapGetByAdmin(target.message_id, env);
+        if (!mapping || mapping.direction !== 'admin_to_user') {
+            await reply("⚠️ 只能撤回管理员发给用户的回复。");
+            return;
         }
-    } catch (e) {
-        try {
-            await dbUserUpdate(userId, { topic_id: null }, env); 
-            const newTopicId = await createTopicForUser();
-            try {
-                await tryCopyToTopic(newTopicId);
-                if (message.text || message.caption) {
-                    const messageData = { text: message.text || message.caption || '', date: message.date };
-                    await dbMessageDataPut(userId, message.message_id.toString(), messageData, env); 
-                }
-            } catch (e2) {
-                await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: "抱歉，消息转发失败（请稍后再试或联系管理员）。", });
-                return;
-            }
-        } catch (createErr) {
-            await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: userId, text: "抱歉，无法创建新的客服话题（请稍后再试）。", });
+        if (mapping.admin_id !== adminId) {
+            await reply("⚠️ 只能撤回你自己发送的回复。");
+            return;
+        }
+        if (mapping.retracted_at) {
+            await reply("ℹ️ 这条回复已经撤回过了。");
             return;
         }
+        mappings = [mapping];
+    } else {
+        await reply("⚠️ 用法：回复一条回复发送 <code>/del</code>，或发送 <code>/del N</code> 撤回自己最近 N 条回复。");
+        return;
     }
   
-    // --- 备份逻辑保持原样 ---
-    const backupGroupId = await getConfig('backup_group_id', env, "");
-    if (backupGroupId) {
-        const userInfo = getUserInfo(message.from, user.date);
-        const fromUserHeader = ` 
-  <b>--- 备份消息 ---</b>
-  👤 <b>来自用户:</b> <a href="tg://user?id=${userInfo.userId}">${userInfo.name || '无昵称'}</a> • ID: <code>${userInfo.userId}</code> • 用户名: ${userInfo.username} 
-  ------------------
-  `.trim() + '\n\n';
-        const backupParams = { chat_id: backupGroupId, disable_notification: true, parse_mode: "HTML", };
+    if (mappings.length === 0) {
+        await reply("ℹ️ 没有可以撤回的回复（只能撤回你自己发送的回复）。");
+        return;
+    }
+  
+    let retracted = 0;
+    const failures = [];
+    for (const mapping of mappings) {
         try {
-            if (message.text) {
-                const combinedText = fromUserHeader + message.text;
-                await telegramApi(env.BOT_TOKEN, "sendMessage", { ...backupParams, text: combinedText, });
-            } else if (message.caption || message.photo || message.video || message.document || message.audio || message.voice || message.sticker || message.animation) {
-               await telegramApi(env.BOT_TOKEN, "sendMessage", { ...backupParams, text: fromUserHeader.trim(), parse_mode: "HTML", });
-               await telegramApi(env.BOT_TOKEN, "copyMessage", { chat_id: backupGroupId, from_chat_id: userId, message_id: message.message_id, });
-            }
+            await telegramApi(env.BOT_TOKEN, "deleteMessage", {
+                chat_id: mapping.user_chat_id,
+                message_id: Number(mapping.user_message_id),
+            });
+            await dbMessageMapMarkRetracted(mapping.admin_message_id, env);
+            retracted += 1;
         } catch (e) {
-            console.error("消息备份转发失败:", e?.message || e);
+            // 私聊消息超过 48 小时或已被用户删除时会失败
+            failures.push(`<code>${mapping.admin_message_id}</code>: ${escapeHtml(e.message)}`);
         }
     }
-}
+  
+    let resultText = `🗑️ 已撤回 <b>${retracted}</b> 条回复，用户私聊中的对应消息已删除。`;
+    if (failures.length > 0) {
+        resultText += `\n\n❌ ${failures.length} 条撤回失败：\n${failures.join('\n')}`;
+    }
+    await reply(resultText);
+  }
   
   /**
-  * 处理用户在私聊中修改消息的逻辑。
+  * [新增] /trace：回复话题中的一条消息，查看它与用户私聊中哪条消息对应
   */
-  async function handleRelayEditedMessage(editedMessage, env) {
-    const { from: user } = editedMessage;
-    const userId = user.id.toString();
-  
-    // 获取用户数据
-    const userData = await dbUserGetOrCreate(userId, env);
-    const topicId = userData.topic_id;
+  async function handleTraceCommand(message, topicId, env) {
+    const reply = (text) => telegramApi(env.BOT_TOKEN, "sendMessage", {
+        chat_id: env.ADMIN_GROUP_ID,
+        message_thread_id: topicId,
+        text,
+        parse_mode: "HTML",
+        reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true },
+    });
   
-    if (!topicId) {
+    const target = message.reply_to_message;
+    // 话题中未回复任何消息时，reply_to_message 指向话题的创建消息
+    if (!target || target.message_id.toString() === topicId) {
+        await reply("ℹ️ 请<b>回复</b>话题中的一条消息并发送 /trace。");
         return;
     }
   
-    // 从 D1 的 messages 表获取原始消息数据
-    const storedData = await dbMessageDataGet(userId, editedMessage.message_id.toString(), env);
-    let originalText = "[原始内容无法获取/非文本内容]";
-    let originalDate = "[发送时间无法获取]";
-    
-    if (storedData) {
-        originalText = storedData.text || originalText;
-        originalDate = formatTimestamp(storedData.date); 
-        
-        // 更新 D1，将新内容存储为该消息的最新“原始”内容
-        const updatedData = { 
-            text: editedMessage.text || editedMessage.caption || '', 
-            date: editedMessage.date // 存储原发送时间
-        };
-        await dbMessageDataPut(userId, editedMessage.message_id.toString(), updatedData, env);
+    const mapping = await dbMessageMapGetByAdmin(target.message_id, env);
+    if (!mapping) {
+        await reply(`🔍 未找到消息 <code>${target.message_id}</code> 的转发记录。`);
+        return;
     }
-    
-    const newContent = editedMessage.text || editedMessage.caption || "[非文本/媒体说明内容]";
   
-    const notificationText = `
-  ⚠️ <b>用户消息已修改</b>
-  <b>原消息发送时间:</b> <code>${originalDate}</code>
-  <b>原始信息:</b> <code>${originalText}</code>
-  <b>修改后的新内容:</b>
-  ${escapeHtml(newContent)}
+    const directionText = mapping.direction === 'admin_to_user'
+        ? "管理员回复 ➡️ 用户私聊"
+        : "用户私聊 ➡️ 管理员话题";
+    const traceText = `
+  🔍 <b>消息追踪</b>
+  • 方向: ${directionText}
+  • 用户 ID: <code>${mapping.user_chat_id}</code>
+  • 私聊消息 ID: <code>${mapping.user_message_id}</code>
+  • 话题消息 ID: <code>${mapping.admin_message_id}</code>
+  • 话题 ID: <code>${mapping.topic_id || '未知'}</code>
+  • 记录时间: <code>${formatTimestamp(mapping.created_at)}</code>${mapping.retracted_at ? `\n  • 🗑️ 已撤回: <code>${formatTimestamp(mapping.retracted_at)}</code>` : ''}
     `.trim();
-  
-    try {
-        await telegramApi(env.BOT_TOKEN, "sendMessage", {
-            chat_id: env.ADMIN_GROUP_ID,
-            text: notificationText,
-            message_thread_id: topicId,
-            parse_mode: "HTML",
-        });
-    } catch (e) {
-        console.error("handleRelayEditedMessage failed:", e?.message || e);
-    }
+    await reply(traceText);
   }
   
-  
   /**
   * 将管理员在话题中的回复转发回用户。
   */
@@ -1712,72 +5321,62 @@ async function handleAdminTypeBlockMenu(chatId, messageId, env) {
         return;
     }
   
+    // [新增] 话题内的管理命令 (不会转发给用户)
+    if (await handleAdminTopicCommand(message, userId, topicId, env)) {
+        return;
+    }
+  
+    // [新增] 管理员回复了话题中的某条消息：找到它在用户私聊中的对应消息
+    // (未回复任何消息时，reply_to_message 指向话题的创建消息)
+    let replyToUserMessageId = null;
+    const replyTarget = message.reply_to_message;
+    if (replyTarget && replyTarget.message_id.toString() !== topicId) {
+        const replyMapping = await dbMessageMapGetByAdmin(replyTarget.message_id, env);
+        if (replyMapping && replyMapping.user_chat_id === userId) {
+            replyToUserMessageId = replyMapping.user_message_id;
+        }
+    }
+  
     // --- 消息转发逻辑 ---
+    const { method, params } = buildAdminReplyRequest(message, userId, replyToUserMessageId);
     try {
-        if (message.text) {
-             await telegramApi(env.BOT_TOKEN, "sendMessage", {
-                chat_id: userId,
-                text: message.text,
-            });
-        } else if (message.photo) {
-            await telegramApi(env.BOT_TOKEN, "sendPhoto", {
-                chat_id: userId,
-                photo: message.photo[message.photo.length - 1].file_id, // 发送最高分辨率的图片
-                caption: message.caption || "",
-            });
-        } else if (message.video) {
-            await telegramApi(env.BOT_TOKEN, "sendVideo", {
-                chat_id: userId,
-                video: message.video.file_id,
-                caption: message.caption || "",
-            });
-        } else if (message.audio) {
-            await telegramApi(env.BOT_TOKEN, "sendAudio", {
-                chat_id: userId,
-                audio: message.audio.file_id,
-                caption: message.caption || "",
-            });
-        } else if (message.voice) {
-            await telegramApi(env.BOT_TOKEN, "sendVoice", {
-                chat_id: userId,
-                voice: message.voice.file_id,
-                caption: message.caption || "",
-            });
-        } else if (message.sticker) {
-            await telegramApi(env.BOT_TOKEN, "sendSticker", {
-                chat_id: userId,
-                sticker: message.sticker.file_id,
-            });
-        } else if (message.animation) {
-            await telegramApi(env.BOT_TOKEN, "sendAnimation", {
-                chat_id: userId,
-                animation: message.animation.file_id,
-                caption: message.caption || "",
-            });
-        } 
-        // [⭐️ 修复开始] 添加对文件/文档 (txt, yaml, pdf, zip等) 的支持
-        else if (message.document) {
-            await telegramApi(env.BOT_TOKEN, "sendDocument", {
-                chat_id: userId,
-                document: message.document.file_id,
-                caption: message.caption || "",
-            });
-        }
-        // [⭐️ 修复结束]
-        else {
+        const sentMessage = await telegramApi(env.BOT_TOKEN, method, params);
+        await recordTranscript(env, message, { user_id: userId, direction: "admin_to_user", admin_id: senderId, user_message_id: sentMessage.message_id, admin_message_id: message.message_id });
+        // [新增] 记录管理员消息与私聊副本的对应关系 (用于表情回应同步)
+        await dbMessageMapPut({
+            user_chat_id: userId,
+            user_message_id: sentMessage.message_id,
+            admin_message_id: message.message_id,
+            topic_id: topicId,
+            direction: "admin_to_user",
+            admin_id: senderId,
+        }, env).catch(e => console.error("记录消息对应关系失败:", e.message));
+    } catch (e2) {
+        if (isRetryableTelegramError(e2)) {
+            // [新增] 限流或临时故障：加入重试队列，稍后由定时任务重发
+            await enqueueOutbound(env, method, params, {
+                type: "admin_reply",
+                user_id: userId,
+                topic_id: topicId,
+                admin_id: senderId,
+                admin_message_id: message.message_id.toString(),
+                transcript: buildTranscriptEntry(message, { user_id: userId, direction: "admin_to_user", admin_id: senderId, admin_message_id: message.message_id }),
+            }, e2);
             await telegramApi(env.BOT_TOKEN, "sendMessage", {
-                chat_id: userId,
-                text: "管理员发送了机器人无法直接转发的内容（例如投票或某些特殊媒体）。",
+                chat_id: adminGroupIdStr,
+                message_thread_id: topicId,
+                text: `⏳ Telegram 暂时不可用，这条回复已加入重试队列，稍后自动重发。(${e2.message || e2})`,
+                disable_notification: true,
+            }).catch(e3 => console.error("发送重试提示失败:", e3?.message || e3));
+        } else {
+            console.error("handleAdminReply fallback also failed:", e2?.message || e2);
+            // 如果转发失败，通知管理员
+            await telegramApi(env.BOT_TOKEN, "sendMessage", {
+                chat_id: adminGroupIdStr,
+                message_thread_id: topicId,
+                text: `❌ 转发消息给用户 ${userId} 失败: ${e2.message || e2}`,
             });
         }
-    } catch (e2) {
-        console.error("handleAdminReply fallback also failed:", e2?.message || e2);
-        // 如果转发失败，通知管理员
-        await telegramApi(env.BOT_TOKEN, "sendMessage", {
-            chat_id: adminGroupIdStr,
-            message_thread_id: topicId,
-            text: `❌ 转发消息给用户 ${userId} 失败: ${e2.message || e2}`,
-        });
     }
     
     // [新增] 存储消息原始内容到 messages 表 (用于处理管理员编辑消息)
@@ -1870,7 +5469,7 @@ async function syncToBlockLog(userId, user, isBlocked, isMuted, env) {
         // 话题丢失处理
         if (errStr.includes("thread not found") || errStr.includes("TOPIC_DELETED")) {
              console.warn("屏蔽名单话题失效，尝试重建...");
-             await env.TG_BOT_DB.prepare("DELETE FROM config WHERE key = ?").bind('user_block_log_topic_id').run();
+             await dbConfigDelete('user_block_log_topic_id', env);
              const newLogId = await ensureBlockLogTopicExists(env);
              if (newLogId) {
                  await sendNewLog(newLogId); // 重试发送
@@ -1885,6 +5484,12 @@ async function handleCallbackQuery(callbackQuery, env) {
     const data = callbackQuery.data;
     const message = callbackQuery.message;
   
+    // [新增] 0. 用户点击验证按钮 (必须在管理员权限检查之前)
+    if (data.startsWith('verify:')) {
+        await handleVerificationCallback(callbackQuery, env);
+        return;
+    }
+  
     // 1. 权限检查
     const isAdmin = await isAdminUser(chatId, env);
     if (!isAdmin) {
@@ -1908,11 +5513,28 @@ async function handleCallbackQuery(callbackQuery, env) {
             else if (keyOrAction === 'filter') { await handleAdminTypeBlockMenu(chatId, message.message_id, env); } 
             else if (keyOrAction === 'backup') { await handleAdminBackupConfigMenu(chatId, message.message_id, env); } 
             else if (keyOrAction === 'authorized') { await handleAdminAuthorizedConfigMenu(chatId, message.message_id, env); } 
+            else if (keyOrAction === 'flood') { await handleAdminFloodConfigMenu(chatId, message.message_id, env); } 
+            else if (keyOrAction === 'retention') { await handleAdminRetentionConfigMenu(chatId, message.message_id, env); } 
             else { await handleAdminConfigStart(chatId, env, message.message_id); }
         } else if (actionType === 'toggle' && keyOrAction && value) {
             await dbConfigPut(keyOrAction, value, env);
-            await handleAdminTypeBlockMenu(chatId, message.message_id, env); 
+            if (keyOrAction.startsWith('flood_')) {
+                await handleAdminFloodConfigMenu(chatId, message.message_id, env);
+            } else if (keyOrAction === 'edit_sync_mode') {
+                await handleAdminConfigStart(chatId, env, message.message_id);
+            } else if (keyOrAction === 'verif_mode') {
+                await handleAdminBaseConfigMenu(chatId, message.message_id, env);
+            } else if (keyOrAction === 'message_retention_days') {
+                await handleAdminRetentionConfigMenu(chatId, message.message_id, env);
+            } else {
+                await handleAdminTypeBlockMenu(chatId, message.message_id, env); 
+            }
         } else if (actionType === 'edit' && keyOrAction) {
+            if (keyOrAction === 'retention_purge_now') {
+                const report = await purgeExpiredContent(env);
+                await handleAdminRetentionConfigMenu(chatId, message.message_id, env, `🧹 <b>清理结果:</b> ${escapeHtml(report)}`);
+                return;
+            }
             if (keyOrAction === 'backup_group_id_clear') {
                 await dbConfigPut('backup_group_id', '', env); 
                 await telegramApi(env.BOT_TOKEN, "answerCallbackQuery", { callback_query_id: callbackQuery.id, text: "✅ 备份群组 ID 已清除。", show_alert: false });
@@ -1931,9 +5553,16 @@ async function handleCallbackQuery(callbackQuery, env) {
             if (keyOrAction === 'welcome_msg') { prompt = "请发送**新的欢迎消息**："; cancelBack = "config:menu:base"; }
             else if (keyOrAction === 'verif_q') { prompt = "请发送**新的验证问题**："; cancelBack = "config:menu:base"; }
             else if (keyOrAction === 'verif_a') { prompt = "请发送你需要设置的答案..."; cancelBack = "config:menu:base"; }
+            else if (keyOrAction === 'verif_max_attempts') { prompt = "请发送**每轮最多尝试次数**，答错达到该次数后进入冷却，设为 0 表示不限制："; cancelBack = "config:menu:base"; }
+            else if (keyOrAction === 'verif_cooldown_seconds') { prompt = "请发送**第一次冷却的时长 (秒)**，之后每轮翻倍，设为 0 表示不冷却："; cancelBack = "config:menu:base"; }
+            else if (keyOrAction === 'verif_block_threshold') { prompt = "请发送**自动屏蔽阈值**，累计答错达到该次数后自动屏蔽，设为 0 表示不自动屏蔽："; cancelBack = "config:menu:base"; }
+            else if (keyOrAction === 'pending_max_messages') { prompt = "请发送**验证通过前最多暂存的消息条数**，设为 0 表示不暂存："; cancelBack = "config:menu:base"; }
+            else if (keyOrAction === 'verif_challenge_ttl') { prompt = "请发送**题目有效期 (秒)**，超时后用户需要重新作答，设为 0 表示不过期："; cancelBack = "config:menu:base"; }
+            else if (keyOrAction === 'verif_wrong_choices') { prompt = "请发送**按钮模式下的干扰选项**，多个选项用 | 分隔，例如 <code>1|2|4</code>："; cancelBack = "config:menu:base"; }
             else if (keyOrAction === 'block_threshold') { prompt = "请发送**新的屏蔽次数阈值 (数字)**："; cancelBack = "config:menu:keyword"; }
             else if (keyOrAction === 'backup_group_id') { prompt = "请发送**新的备份群组 ID**..."; cancelBack = "config:menu:backup"; }
             else if (keyOrAction === 'authorized_admins') { prompt = "请发送**新的协管员 ID 列表**..."; cancelBack = "config:menu:authorized"; }
+            else if (keyOrAction.startsWith('flood_')) { prompt = "请发送**新的数值 (整数)**，条数设为 0 可关闭防刷屏："; cancelBack = "config:menu:flood"; }
             const cancelBtn = { inline_keyboard: [[{ text: "❌ 取消编辑", callback_data: cancelBack }]] };
             await telegramApi(env.BOT_TOKEN, "editMessageText", { chat_id: chatId, message_id: message.message_id, text: `${prompt}\n\n发送 \`/cancel\` 或点击下方按钮取消。`, parse_mode: "HTML", reply_markup: cancelBtn, });
         } else if (actionType === 'add' && keyOrAction) {
@@ -1943,12 +5572,24 @@ async function handleCallbackQuery(callbackQuery, env) {
             let cancelBack = "";
             if (keyOrAction === 'keyword_responses') { prompt = "请发送**新的自动回复规则**..."; cancelBack = "config:menu:autoreply"; } 
             else if (keyOrAction === 'block_keywords') { prompt = "请发送**新的屏蔽关键词表达式**..."; cancelBack = "config:menu:keyword"; }
+            else if (keyOrAction === 'verif_questions') { prompt = "请发送**新的验证问题**，格式：<code>问题===答案1|答案2</code>"; cancelBack = "config:menu:base"; }
             const cancelBtn = { inline_keyboard: [[{ text: "❌ 取消添加", callback_data: cancelBack }]] };
             await telegramApi(env.BOT_TOKEN, "editMessageText", { chat_id: chatId, message_id: message.message_id, text: `${prompt}\n\n发送 \`/cancel\` 或点击下方按钮取消。`, parse_mode: "HTML", reply_markup: cancelBtn, });
+        } else if (actionType === 'export' || actionType === 'import') {
+            // [新增] 配置导出/导入只对主管理员开放
+            if (!isPrimaryAdmin(chatId, env)) {
+                await telegramApi(env.BOT_TOKEN, "sendMessage", { chat_id: chatId, text: "此功能仅供主管理员使用。", });
+            } else if (actionType === 'export') {
+                await handleConfigExport(chatId, env);
+            } else if (keyOrAction) {
+                await handleConfigImportCallback(chatId, message.message_id, keyOrAction, env);
+            }
         } else if (actionType === 'list' && keyOrAction) {
             await handleAdminRuleList(chatId, message.message_id, env, keyOrAction);
         } else if (actionType === 'delete' && keyOrAction && value) {
             await handleAdminRuleDelete(chatId, message.message_id, env, keyOrAction, value);
+        } else if (actionType === 'switch' && keyOrAction && value) {
+            await handleAdminRuleToggle(chatId, message.message_id, env, keyOrAction, value);
         }
         return;
     } 
@@ -1994,6 +5635,14 @@ async function handleCallbackQuery(callbackQuery, env) {
         try {
             // A. 更新数据库
             const updateData = isBlockAction ? { is_blocked: newState } : { is_muted: newState };
+            // [新增] 管理员手动操作后，清除自动处罚的到期时间
+            updateData.penalty_type = null;
+            updateData.penalty_until = null;
+            // [新增] 解除屏蔽时清空验证失败次数，避免下一次答错立即再次被自动屏蔽
+            if (action === 'unblock') {
+                updateData.verif_attempts = 0;
+                updateData.verif_cooldown_until = null;
+            }
             await dbUserUpdate(targetUserId, updateData, env);
   
             // B. 重新获取最新用户数据
@@ -2114,3 +5763,324 @@ async function handleCallbackQuery(callbackQuery, env) {
         }
     }
   }
+
+
+// --- 定时任务 (Cron) ---
+
+/**
+ * [新增] 管理员编辑状态的有效期 (秒)，超时未完成的输入会被定时任务清除
+ */
+const ADMIN_STATE_TTL_SECONDS = 60 * 60;
+
+/**
+ * [新增] 过期内容分批清理：每批删除的行数和单次运行的最大批数
+ * 单次没删完的部分留给下一次定时任务，避免一次执行超出 Worker 的时间限制。
+ */
+const RETENTION_PURGE_BATCH_SIZE = 500;
+const RETENTION_PURGE_MAX_BATCHES = 20;
+
+/**
+ * [新增] 读取数据保留天数，0 表示永久保留
+ */
+async function getRetentionDays(env) {
+    const days = parseInt(await getConfig('message_retention_days', env, "90"), 10);
+    return Number.isNaN(days) || days < 0 ? 0 : days;
+}
+
+/**
+ * [新增] 按保留天数分批删除过期的消息记录和会话记录，返回结果描述
+ * 供定时任务 purge_messages 和配置菜单中的「立即清理」共用。
+ */
+async function purgeExpiredContent(env) {
+    const retentionDays = await getRetentionDays(env);
+    if (retentionDays <= 0) {
+        return "已设置为永久保留，跳过。";
+    }
+    const cutoff = Math.floor(Date.now() / 1000) - retentionDays * 24 * 60 * 60;
+
+    const purgeInBatches = async (purgeBatch) => {
+        let removed = 0;
+        for (let batch = 0; batch < RETENTION_PURGE_MAX_BATCHES; batch++) {
+            const changes = await purgeBatch(cutoff, RETENTION_PURGE_BATCH_SIZE, env);
+            removed += changes;
+            if (changes < RETENTION_PURGE_BATCH_SIZE) {
+                return { removed, finished: true };
+            }
+        }
+        return { removed, finished: false };
+    };
+
+    const messages = await purgeInBatches(dbMessageDataPurgeBefore);
+    const transcripts = await purgeInBatches(dbTranscriptPurgeBefore);
+    const pending = await purgeInBatches(dbPendingMessagePurgeBefore);
+    const unfinished = !messages.finished || !transcripts.finished || !pending.finished ? " 还有剩余，下次继续清理。" : "";
+    return `删除了 ${messages.removed} 条消息记录、${transcripts.removed} 条会话记录和 ${pending.removed} 条未验证用户的暂存消息 (超过 ${retentionDays} 天)。${unfinished}`;
+}
+
+/**
+ * [新增] 默认启用的定时任务，可通过配置项/环境变量 scheduled_jobs (逗号分隔) 覆盖
+ */
+const DEFAULT_SCHEDULED_JOBS = "drain_outbound_queue,expire_flood_penalties,purge_messages,expire_admin_states,refresh_log_summaries";
+
+/**
+ * [新增] 定时任务注册表
+ * 每个任务返回一行结果描述，会被汇总写入维护日志话题。
+ */
+const SCHEDULED_JOBS = {
+    drain_outbound_queue: {
+        title: "重发出站重试队列",
+        run: async (env) => drainOutboundQueue(env),
+    },
+    expire_flood_penalties: {
+        title: "解除到期的刷屏处罚",
+        run: async (env) => {
+            const userIds = await dbUserListExpiredPenalties(Math.floor(Date.now() / 1000), env);
+            for (const userId of userIds) {
+                await liftExpiredPenalty(userId, await dbUserGetOrCreate(userId, env), env);
+            }
+            return `解除了 ${userIds.length} 个用户的自动处罚。`;
+        },
+    },
+    purge_messages: {
+        title: "清理旧消息记录",
+        run: async (env) => purgeExpiredContent(env),
+    },
+    expire_admin_states: {
+        title: "清除过期的编辑状态",
+        run: async (env) => {
+            const cutoff = Math.floor(Date.now() / 1000) - ADMIN_STATE_TTL_SECONDS;
+            const removed = await dbAdminStatePurgeBefore(cutoff, env);
+            return `清除了 ${removed} 个过期的 admin_state。`;
+        },
+    },
+    refresh_log_summaries: {
+        title: "刷新日志话题置顶汇总",
+        run: async (env) => {
+            const stats = await dbUserStats(env);
+            const restricted = await dbUserListRestricted(50, env);
+            const updatedAt = formatTimestamp(Math.floor(Date.now() / 1000));
+
+            const blockLines = restricted.map(u => {
+                const icon = u.is_blocked ? "🚫" : "🔕";
+                const name = u.user_info?.name || u.user_id;
+                return `${icon} <a href="tg://user?id=${u.user_id}">${escapeHtml(name)}</a> • <code>${u.user_id}</code>`;
+            });
+            const blockText = `📊 <b>屏蔽与静音名单汇总</b>\n` +
+                              `🚫 屏蔽: <b>${stats.blocked}</b> 人 | 🔕 静音: <b>${stats.muted}</b> 人\n\n` +
+                              (blockLines.length > 0 ? blockLines.join("\n") : "<i>（名单为空）</i>") +
+                              (stats.blocked + stats.muted > restricted.length ? "\n…" : "") +
+                              `\n\n🕒 更新时间: <code>${updatedAt}</code>`;
+            const profileText = `📊 <b>用户资料卡汇总</b>\n` +
+                                `👥 用户总数: <b>${stats.total}</b>\n` +
+                                `✅ 已验证: <b>${stats.verified}</b>\n` +
+                                `💬 已建立会话: <b>${stats.with_topic}</b>\n` +
+                                `\n🕒 更新时间: <code>${updatedAt}</code>`;
+
+            const results = [];
+            const blockTopicId = await ensureBlockLogTopicExists(env);
+            if (blockTopicId) {
+                await refreshPinnedSummary(env, blockTopicId, 'block_log_summary_message_id', blockText);
+                results.push("屏蔽名单");
+            }
+            const profileTopicId = await ensureLogTopicExists(env);
+            if (profileTopicId) {
+                await refreshPinnedSummary(env, profileTopicId, 'profile_log_summary_message_id', profileText);
+                results.push("资料卡汇总");
+            }
+            return results.length > 0 ? `已刷新: ${results.join("、")}。` : "日志话题不可用，跳过。";
+        },
+    },
+};
+
+/**
+ * [新增] 重放出站重试队列中已到时间的请求
+ * 遇到 429 时立即停止本轮，剩余的请求留到下一次执行。
+ */
+async function drainOutboundQueue(env) {
+    const dueItems = await dbOutboundDue(Math.floor(Date.now() / 1000), 50, env);
+    let sent = 0;
+    let rescheduled = 0;
+    let abandoned = 0;
+
+    for (const item of dueItems) {
+        let context = {};
+        try {
+            context = JSON.parse(item.context_json || "{}");
+        } catch (e) {
+            // 上下文损坏不影响重发
+        }
+
+        try {
+            const result = await telegramApi(env.BOT_TOKEN, item.method, JSON.parse(item.params_json));
+            await dbOutboundDelete(item.id, env);
+            sent += 1;
+            await recordQueuedMessageMap(env, context, result).catch(mapErr => {
+                console.error("记录消息对应关系失败:", mapErr.message);
+            });
+        } catch (e) {
+            const attempts = item.attempts + 1;
+            if (isRetryableTelegramError(e) && attempts < OUTBOUND_MAX_ATTEMPTS) {
+                await dbOutboundReschedule(item.id, attempts, getOutboundNextAttemptAt(attempts, e), e.message || String(e), env);
+                rescheduled += 1;
+                if (e.error_code === 429) break;
+                continue;
+            }
+
+            await dbOutboundDelete(item.id, env);
+            abandoned += 1;
+            await notifyOutboundAbandoned(env, context, e).catch(notifyErr => {
+                console.error("发送放弃通知失败:", notifyErr?.message || notifyErr);
+            });
+        }
+    }
+
+    return `到期 ${dueItems.length} 条：成功 ${sent}，延后 ${rescheduled}，放弃 ${abandoned}。`;
+}
+
+/**
+ * [新增] 重发成功后补记消息对应关系和会话记录 (与直接发送时记录的内容一致)
+ * 会话记录只在送达后写入，最终放弃的消息不会出现在 /export 中。
+ */
+async function recordQueuedMessageMap(env, context, result) {
+    if (!result || !result.message_id) return;
+    if (context.transcript) {
+        const deliveredId = context.type === "relay" ? { admin_message_id: result.message_id } : { user_message_id: result.message_id };
+        await dbTranscriptPut({ ...context.transcript, ...deliveredId }, env)
+            .catch(e => console.error("记录会话失败:", e.message));
+    }
+    if (context.type === "relay" && context.user_message_id) {
+        await dbMessageMapPut({
+            user_chat_id: context.user_id,
+            user_message_id: context.user_message_id,
+            admin_message_id: result.message_id,
+            topic_id: context.topic_id,
+            direction: "user_to_admin",
+        }, env);
+    } else if (context.type === "admin_reply" && context.admin_message_id) {
+        await dbMessageMapPut({
+            user_chat_id: context.user_id,
+            user_message_id: result.message_id,
+            admin_message_id: context.admin_message_id,
+            topic_id: context.topic_id,
+            direction: "admin_to_user",
+            admin_id: context.admin_id,
+        }, env);
+    }
+}
+
+/**
+ * [新增] 队列项最终放弃时，通知发起的一方
+ */
+async function notifyOutboundAbandoned(env, context, error) {
+    const reason = escapeHtml(error.message || String(error));
+    if (context.type === "admin_reply" && context.topic_id) {
+        await telegramApi(env.BOT_TOKEN, "sendMessage", {
+            chat_id: env.ADMIN_GROUP_ID,
+            message_thread_id: context.topic_id,
+            text: `❌ <b>回复最终发送失败，已放弃重试</b>\n原因: <code>${reason}</code>`,
+            parse_mode: "HTML",
+            reply_parameters: context.admin_message_id
+                ? { message_id: Number(context.admin_message_id), allow_sending_without_reply: true }
+                : undefined,
+        });
+    } else if (context.type === "relay" && context.user_id) {
+        await telegramApi(env.BOT_TOKEN, "sendMessage", {
+            chat_id: context.user_id,
+            text: "抱歉，您的一条消息多次转发失败，已放弃发送，请重新发送。",
+        });
+    }
+}
+
+/**
+ * [新增] 编辑日志话题中的置顶汇总消息，不存在时发送新消息并置顶
+ */
+async function refreshPinnedSummary(env, topicId, messageKey, text) {
+    const storedMessageId = await dbConfigGet(messageKey, env);
+    if (storedMessageId) {
+        try {
+            await telegramApi(env.BOT_TOKEN, "editMessageText", {
+                chat_id: env.ADMIN_GROUP_ID,
+                message_id: storedMessageId,
+                text,
+                parse_mode: "HTML",
+            });
+            return;
+        } catch (e) {
+            if ((e.message || "").includes("message is not modified")) return;
+            console.warn("编辑置顶汇总失败 (可能是消息已删)，转为发送新消息:", e.message);
+        }
+    }
+
+    const sentMsg = await telegramApi(env.BOT_TOKEN, "sendMessage", {
+        chat_id: env.ADMIN_GROUP_ID,
+        message_thread_id: topicId,
+        text,
+        parse_mode: "HTML",
+        disable_notification: true,
+    });
+    await dbConfigPut(messageKey, sentMsg.message_id.toString(), env);
+    await telegramApi(env.BOT_TOKEN, "pinChatMessage", {
+        chat_id: env.ADMIN_GROUP_ID,
+        message_id: sentMsg.message_id,
+        disable_notification: true,
+    }).catch(e => console.warn("置顶汇总消息失败:", e.message));
+}
+
+/**
+ * [新增] 依次执行已启用的定时任务，并把执行报告写入维护日志话题
+ */
+async function runScheduledJobs(event, env) {
+    await dbMigrate(env);
+
+    const jobList = (await getConfig('scheduled_jobs', env, DEFAULT_SCHEDULED_JOBS))
+        .split(',').map(name => name.trim()).filter(name => name !== "");
+
+    const reportLines = [];
+    for (const name of jobList) {
+        const job = SCHEDULED_JOBS[name];
+        if (!job) {
+            reportLines.push(`⚠️ <code>${escapeHtml(name)}</code>: 未知任务，已跳过。`);
+            continue;
+        }
+        try {
+            const result = await job.run(env);
+            reportLines.push(`✅ ${job.title}: ${escapeHtml(result)}`);
+        } catch (e) {
+            console.error(`定时任务 ${name} 失败:`, e);
+            reportLines.push(`❌ ${job.title}: ${escapeHtml(e.message || String(e))}`);
+        }
+    }
+
+    if (reportLines.length === 0) return;
+
+    const cron = event && event.cron ? ` (<code>${escapeHtml(event.cron)}</code>)` : "";
+    const reportText = `🛠️ <b>定时任务报告</b>${cron}\n` +
+                       `🕒 <code>${formatTimestamp(Math.floor(Date.now() / 1000))}</code>\n\n` +
+                       reportLines.join("\n");
+
+    const sendReport = async (topicId) => telegramApi(env.BOT_TOKEN, "sendMessage", {
+        chat_id: env.ADMIN_GROUP_ID,
+        message_thread_id: topicId,
+        text: reportText,
+        parse_mode: "HTML",
+        disable_notification: true,
+    });
+
+    const logTopicId = await ensureMaintenanceLogTopicExists(env);
+    if (!logTopicId) return;
+    try {
+        await sendReport(logTopicId);
+    } catch (e) {
+        const errStr = e.message || e.toString();
+        // 话题丢失处理
+        if (errStr.includes("thread not found") || errStr.includes("TOPIC_DELETED")) {
+            await dbConfigDelete('maintenance_log_topic_id', env);
+            const newLogId = await ensureMaintenanceLogTopicExists(env);
+            if (newLogId) {
+                await sendReport(newLogId);
+            }
+        } else {
+            console.error("发送定时任务报告失败:", errStr);
+        }
+    }
+}